@@ -1,16 +1,43 @@
-import ValidatorRegistry from "./ValidatorRegistry";
-import SchemaValidator from "./SchemaValidator";
+import ValidatorRegistry from "./ValidatorRegistry.js";
+import SchemaValidator from "./SchemaValidator.js";
+import SchemaTransformer from "./SchemaTransformer.js";
+import SchemaCompiler from "./SchemaCompiler.js";
+import MessageCatalog, { DEFAULT_LOCALE } from "./MessageCatalog.js";
+import TypeGenerator from "./TypeGenerator.js";
+import SchemaVersions from "./SchemaVersions.js";
+import SampleGenerator from "./SampleGenerator.js";
+import SchemaDiff, { formatDiff } from "./SchemaDiff.js";
+import { mergeSchemas } from "./SchemaMerge.js";
+import { describeArity, parseParams, parseReturnType } from "./Signature.js";
+import ValidationError from "./ValidationError.js";
+import { fromJSONSchema, toJSONSchema } from "./JSONSchema.js";
+
+function cloneDefault(value) {
+    return typeof value === "object" && value !== null ? structuredClone(value) : value;
+}
 
 class AltoMare {
+    static guardsEnabled = globalThis.process?.env?.NODE_ENV !== "production";
+
     #schemas = new Map();
     #templates = new Map();
+    #compiled = new Map();
+    #compiledValidators = new Map();
     #validator;
+    #transformer;
+    #compiler;
+    #messages = new MessageCatalog();
+    #versions = new SchemaVersions();
     #registry;
+    #generator;
 
     constructor(mode = "silent") {
         this.#registry = new ValidatorRegistry();
-        this.checkParams(arguments, ["string"]);
-        this.#validator = new SchemaValidator(this.#registry, mode);
+        this.checkParams(arguments, ["string?"]);
+        this.#validator = new SchemaValidator(this.#registry, mode, name => this.get(name), this.#messages);
+        this.#transformer = new SchemaTransformer(this.#validator, name => this.get(name));
+        this.#compiler = new SchemaCompiler(this.#registry, this.#validator, name => this.#getCompiled(name));
+        this.#generator = new SampleGenerator(this.#registry, this.#validator, name => this.get(name));
     }
 
     registerValidators(validators) {
@@ -24,20 +51,133 @@ class AltoMare {
         Object.entries(validators).forEach(([name, validator]) => {
             this.#registry.register(name, validator);
         });
+        this.#compiled.clear();
     }
 
-    register(name, schema) {
+    registerFormats(formats) {
+        this.checkParams(arguments, ["object|array"]);
+
+        if (Array.isArray(formats)) {
+            formats.forEach(format => this.registerFormats(format));
+            return;
+        }
+
+        Object.entries(formats).forEach(([name, format]) => {
+            this.#registry.registerFormat(name, format);
+            if (format?.message !== undefined) {
+                this.#messages.register(DEFAULT_LOCALE, { [`format.${name}`]: format.message });
+            }
+        });
+    }
+
+    registerMessages(locale, catalog) {
         this.checkParams(arguments, ["string", "object"]);
+        this.#messages.register(locale, catalog);
+    }
+
+    setLocale(locale) {
+        this.checkParams(arguments, ["string"]);
+        this.#messages.setLocale(locale);
+    }
+
+    getLocale() {
+        return this.#messages.locale;
+    }
+
+    register(name, schema, options = {}) {
+        this.checkParams(arguments, ["string", "object", "object?"]);
+
+        if (options.version !== undefined) {
+            this.#versions.register(name, options.version, schema, options.versionKey);
+            schema = this.#versions.get(name, this.#versions.latest(name));
+        }
         this.#schemas.set(name, schema);
+        this.#compiled.clear();
+    }
+
+    registerMigration(name, from, to, migration) {
+        this.checkParams(arguments, ["string", "number", "number", "function"]);
+        this.#versions.registerMigration(name, from, to, migration);
+    }
+
+    getVersion(name, version) {
+        this.checkParams(arguments, ["string", "number"]);
+        return this.#versions.get(name, version);
+    }
+
+    getVersions(name) {
+        this.checkParams(arguments, ["string"]);
+        return this.#versions.versions(name);
+    }
+
+    upgrade(name, data) {
+        this.checkParams(arguments, ["string", "object"]);
+        if (!this.#versions.has(name)) {
+            throw new Error(`Schema '${name}' is not versioned`);
+        }
+
+        const versionKey = this.#versions.versionKey(name);
+        const from = data[versionKey];
+        if (from === undefined) {
+            throw new Error(`Cannot detect the version of '${name}' data: missing '${versionKey}' field`);
+        }
+        if (typeof from !== "number") {
+            throw new TypeError(
+                `Cannot detect the version of '${name}' data: '${versionKey}' must be a number, got ${typeof from} ${JSON.stringify(from)}`
+            );
+        }
+        const versions = this.#versions.versions(name);
+        if (!versions.includes(from)) {
+            throw new Error(`Cannot upgrade '${name}' data from unknown version ${from} (registered: ${versions.join(", ")})`);
+        }
+
+        const to = this.#versions.latest(name);
+        let upgraded = structuredClone(data);
+        for (const step of from === to ? [] : this.#versions.findPath(name, from, to)) {
+            upgraded = step.migration(upgraded) ?? upgraded;
+            upgraded[versionKey] = step.to;
+        }
+
+        const schema = this.get(name);
+        const payload = { ...upgraded };
+        if (!(versionKey in schema)) delete payload[versionKey];
+
+        const { errors } = this.#validator.validateDetailed(schema, payload, name);
+        if (errors.length > 0) {
+            throw new ValidationError(name, errors);
+        }
+        return upgraded;
     }
 
     registerFromTemplate(name, templateName, overrides = {}) {
-        this.checkParams(arguments, ["string", "string", "object"]);
-        const template = this.#templates.get(templateName);
+        this.checkParams(arguments, ["string", "string", "object?"]);
+        this.register(name, mergeSchemas(this.getTemplate(templateName), overrides));
+    }
+
+    getTemplate(name) {
+        this.checkParams(arguments, ["string"]);
+        return this.#resolveTemplate(name, []);
+    }
+
+    #resolveTemplate(name, chain) {
+        if (chain.includes(name)) {
+            throw new Error(`Template inheritance cycle: ${[...chain, name].join(" -> ")}`);
+        }
+
+        const template = this.#templates.get(name);
         if (!template) {
-            throw new Error(`Template '${templateName}' not found`);
+            const parent = chain[chain.length - 1];
+            throw new Error(parent
+                ? `Template '${parent}' extends unknown template '${name}'`
+                : `Template '${name}' not found`);
         }
-        this.register(name, { ...template, ...overrides });
+
+        const { extends: parents = [], ...body } = template;
+        const base = [parents].flat().reduce(
+            (merged, parent) => mergeSchemas(merged, this.#resolveTemplate(parent, [...chain, name])),
+            {}
+        );
+        return mergeSchemas(base, body);
     }
 
     validate(schemaName, data) {
@@ -46,27 +186,129 @@ class AltoMare {
         return this.#validator.validateSchema(schema, data, schemaName);
     }
 
+    validateDetailed(schemaName, data) {
+        this.checkParams(arguments, ["string", "any"]);
+        const schema = this.get(schemaName);
+        return this.#validator.validateDetailed(schema, data, schemaName);
+    }
+
+    validatePartial(schemaName, patch) {
+        this.checkParams(arguments, ["string", "any"]);
+        const schema = this.get(schemaName);
+        return this.#validator.validateDetailed(schema, patch, schemaName, { partial: true });
+    }
+
+    validateAt(schemaName, path, value) {
+        this.checkParams(arguments, ["string", "string", "any"]);
+        const schema = this.get(schemaName);
+        return this.#validator.validateAt(schema, path, value, schemaName);
+    }
+
+    validateAsync(schemaName, data, options = {}) {
+        this.checkParams(arguments, ["string", "any", "object?"]);
+        const schema = this.get(schemaName);
+        return this.#validator.validateAsync(schema, data, schemaName, options.signal);
+    }
+
+    parse(schemaName, data, options = {}) {
+        this.checkParams(arguments, ["string", "any", "object?"]);
+        const schema = this.get(schemaName);
+        const parsed = this.#transformer.transform(schema, data, options);
+        const result = this.#validator.validateDetailed(schema, parsed, schemaName, {
+            allowUnknown: options.unknown === "keep",
+        });
+        return { ...result, data: parsed };
+    }
+
+    generate(schemaName, options = {}) {
+        this.checkParams(arguments, ["string", "object?"]);
+        return this.#generator.generate(this.get(schemaName), options.seed ?? 0, schemaName);
+    }
+
+    generateInvalid(schemaName, options = {}) {
+        this.checkParams(arguments, ["string", "object?"]);
+        return this.#generator.generateInvalid(this.get(schemaName), options.seed ?? 0, schemaName);
+    }
+
     checkParams(args, types) {
         if (!Array.isArray(types)) {
             throw new Error("Second argument 'types' must be an array");
         }
 
-        if (args.length !== types.length) {
-            throw new Error(`Expected ${types.length} parameters but got ${args.length}`);
+        this.#applySignature(args, parseParams(types), "");
+        return true;
+    }
+
+    guard(fn, signature) {
+        this.checkParams(arguments, ["function", "object|array"]);
+        const { params = [], returns } = Array.isArray(signature) ? { params: signature } : signature;
+        const parsedParams = parseParams(params);
+        const returnType = returns === undefined ? null : parseReturnType(returns);
+
+        if (!AltoMare.guardsEnabled) return fn;
+
+        const label = `${fn.name || "anonymous"}: `;
+        const applySignature = args => this.#applySignature(args, parsedParams, label);
+        const checkReturn = value => this.#checkReturn(value, returnType, label);
+
+        function guarded(...args) {
+            if (!AltoMare.guardsEnabled) return fn.apply(this, args);
+
+            const result = fn.apply(this, applySignature(args));
+            return returnType ? checkReturn(result) : result;
         }
+        Object.defineProperty(guarded, "name", { value: fn.name });
+        return guarded;
+    }
 
-        for (let i = 0; i < args.length; i++) {
-            const typeValidator = this.#registry.getTypeValidator(types[i]);
-            if (!typeValidator) {
-                throw new Error(`Unknown type '${types[i]}'`);
-            }
+    #applySignature(args, { params, rest, min, max }, label) {
+        if (args.length < min || args.length > max) {
+            throw new Error(`${label}Expected ${describeArity(min, max)} parameters but got ${args.length}`);
+        }
 
-            if (!typeValidator(args[i])) {
-                throw new Error(`Parameter at index ${i} failed type validation. Expected ${types[i]}, got ${typeof args[i]}`);
+        const values = Array.from(args);
+        params.forEach((param, index) => {
+            if (values[index] === undefined && param.optional) {
+                if (param.hasDefault) values[index] = cloneDefault(param.default);
+                return;
             }
+            this.#checkParam(values[index], param.types, `Parameter at index ${index}`, label);
+        });
+
+        for (let index = params.length; index < values.length; index++) {
+            this.#checkParam(values[index], rest.types, `Parameter at index ${index}`, label);
         }
+        return values;
+    }
 
-        return true;
+    #checkReturn(value, returnType, label) {
+        if (!returnType.promise) {
+            this.#checkParam(value, returnType.types, "Return value", label);
+            return value;
+        }
+
+        if (typeof value?.then !== "function") {
+            throw new Error(`${label}Return value failed type validation. Expected Promise, got ${typeof value}`);
+        }
+        return Promise.resolve(value).then(resolved => this.#checkReturn(resolved, { ...returnType, promise: false }, label));
+    }
+
+    #checkParam(value, types, subject, label) {
+        if (!types.some(type => this.#matchesType(type, value))) {
+            throw new Error(`${label}${subject} failed type validation. Expected ${types.join("|")}, got ${typeof value}`);
+        }
+    }
+
+    #matchesType(type, value) {
+        if (this.#registry.hasTypeValidator(type)) {
+            return this.#registry.getTypeValidator(type)(value);
+        }
+
+        const schema = this.#schemas.get(type);
+        if (!schema) {
+            throw new Error(`Unknown type '${type}'`);
+        }
+        return this.#validator.validateObject(value, schema, "", this.#validator.createContext()).length === 0;
     }
 
     get(name) {
@@ -81,17 +323,118 @@ class AltoMare {
     unregister(name) {
         this.checkParams(arguments, ["string"]);
         this.#schemas.delete(name);
+        this.#versions.delete(name);
+        this.#compiled.clear();
+        this.#compiledValidators.delete(name);
+    }
+
+    compile(name) {
+        this.checkParams(arguments, ["string"]);
+        this.#getCompiled(name);
+
+        let validate = this.#compiledValidators.get(name);
+        if (!validate) {
+            validate = data => {
+                const errors = this.#getCompiled(name)(data, "", this.#validator.createContext());
+                return this.#validator.createResult(errors, name);
+            };
+            this.#compiledValidators.set(name, validate);
+        }
+        return validate;
+    }
+
+    #getCompiled(name) {
+        let compiled = this.#compiled.get(name);
+        if (!compiled) {
+            compiled = this.#compiler.compileObject(this.get(name));
+            this.#compiled.set(name, compiled);
+        }
+        return compiled;
+    }
+
+    diff(oldSchema, newSchema) {
+        this.checkParams(arguments, ["string|object", "string|object"]);
+        const resolve = schema => (typeof schema === "string" ? this.get(schema) : schema);
+        return new SchemaDiff().diff(resolve(oldSchema), resolve(newSchema));
+    }
+
+    formatDiff(diff) {
+        this.checkParams(arguments, ["object"]);
+        return formatDiff(diff);
     }
 
-    loadTemplates(templateJson) {
+    fromJSONSchema(doc, name = doc.title) {
+        this.checkParams(arguments, ["object", "string?"]);
+        const { schemas, unsupported } = fromJSONSchema(doc, name, format => this.#registry.hasFormat(format));
+        for (const [schemaName, schema] of Object.entries(schemas)) {
+            this.register(schemaName, schema);
+        }
+        return { registered: Object.keys(schemas), unsupported };
+    }
+
+    toJSONSchema(name) {
         this.checkParams(arguments, ["string"]);
+        return toJSONSchema(this.get(name), name, schemaName => this.get(schemaName), format => this.#registry.getFormat(format));
+    }
+
+    generateTypes(options = {}) {
+        this.checkParams(arguments, ["object?"]);
+        const { format = "ts", templates = true, indent } = options;
+        if (!["ts", "jsdoc"].includes(format)) {
+            throw new Error(`Unknown type format '${format}', expected 'ts' or 'jsdoc'`);
+        }
+
+        const definitions = [...this.#schemas].map(([name, schema]) => ({ name, schema }));
+        if (templates) {
+            for (const name of this.#templates.keys()) {
+                definitions.push({ name: `${name}Template`, schema: this.getTemplate(name), template: true });
+            }
+        }
+
+        const generator = new TypeGenerator(indent);
+        return format === "ts" ? generator.toTypeScript(definitions) : generator.toJSDoc(definitions);
+    }
+
+    loadTemplates(templates) {
+        this.checkParams(arguments, ["any"]);
+
+        let parsed = templates;
+        if (typeof templates === "string") {
+            try {
+                parsed = JSON.parse(templates);
+            } catch (error) {
+                throw new Error(`Failed to parse templates JSON: ${error.message}`);
+            }
+        }
+        if (typeof parsed !== "object" || parsed === null || Array.isArray(parsed)) {
+            throw new Error("Templates must be an object or a JSON string describing one");
+        }
+
+        const previous = new Map(this.#templates);
+        Object.entries(parsed).forEach(([name, template]) => this.#templates.set(name, template));
+
         try {
-            const templates = JSON.parse(templateJson);
-            this.#templates = new Map(Object.entries(templates));
+            for (const name of Object.keys(parsed)) {
+                this.#checkTemplateCycles(name, []);
+            }
         } catch (error) {
-            throw new Error(`Failed to parse templates JSON: ${error.message}`);
+            this.#templates = previous;
+            throw error;
+        }
+    }
+
+    #checkTemplateCycles(name, chain) {
+        if (chain.includes(name)) {
+            throw new Error(`Template inheritance cycle: ${[...chain, name].join(" -> ")}`);
+        }
+
+        // Parents that are not loaded yet may arrive in a later loadTemplates call.
+        const parents = this.#templates.get(name)?.extends ?? [];
+        for (const parent of [parents].flat()) {
+            this.#checkTemplateCycles(parent, [...chain, name]);
         }
     }
 }
 
+export { ValidationError };
 export default AltoMare;
\ No newline at end of file
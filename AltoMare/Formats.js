@@ -0,0 +1,97 @@
+const DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME = /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?(Z|[+-](\d{2}):(\d{2}))$/i;
+const DURATION = /^P(?:\d+W|(?=\d|T\d)(?:\d+Y)?(?:\d+M)?(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+S)?)?)$/;
+const HOSTNAME_LABEL = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+const EMAIL_LOCAL_PART = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const URI = /^[A-Za-z][A-Za-z0-9+.-]*:[^\s]*$/;
+const IPV4_OCTET = /^(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/;
+const IPV6_GROUP = /^[0-9A-Fa-f]{1,4}$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HEX_COLOR = /^#(?:[0-9a-fA-F]{3,4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+const SEMVER = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
+function isDate(value) {
+    const match = DATE.exec(value);
+    if (!match) return false;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const leapYear = year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+    const daysInMonth = [31, leapYear ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+    return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth;
+}
+
+function isTime(value) {
+    const match = TIME.exec(value);
+    if (!match) return false;
+
+    const [hour, minute, second] = match.slice(1, 4).map(Number);
+    const offsetValid = match[6] === undefined || (Number(match[6]) <= 23 && Number(match[7]) <= 59);
+    return hour <= 23 && minute <= 59 && second <= 60 && offsetValid;
+}
+
+function isDateTime(value) {
+    const parts = value.split(/[Tt ]/);
+    return parts.length === 2 && isDate(parts[0]) && isTime(parts[1]);
+}
+
+function isHostname(value) {
+    const hostname = value.endsWith(".") ? value.slice(0, -1) : value;
+    return hostname.length > 0 && hostname.length <= 253 && hostname.split(".").every(label => HOSTNAME_LABEL.test(label));
+}
+
+function isEmail(value) {
+    const at = value.lastIndexOf("@");
+    if (at < 1 || value.length > 254) return false;
+
+    const local = value.slice(0, at);
+    const domain = value.slice(at + 1);
+    return local.length <= 64 && EMAIL_LOCAL_PART.test(local) && domain.includes(".") && isHostname(domain);
+}
+
+function isUri(value) {
+    if (!URI.test(value)) return false;
+    try {
+        new URL(value);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function isIPv4(value) {
+    const octets = value.split(".");
+    return octets.length === 4 && octets.every(octet => IPV4_OCTET.test(octet));
+}
+
+function isIPv6(value) {
+    const halves = value.split("::");
+    if (halves.length > 2) return false;
+
+    const groups = halves.flatMap(half => (half === "" ? [] : half.split(":")));
+    let count = groups.length;
+
+    const last = groups[groups.length - 1];
+    if (last?.includes(".")) {
+        if (value.endsWith("::") || !isIPv4(last)) return false;
+        groups.pop();
+        count += 1;
+    }
+
+    if (!groups.every(group => IPV6_GROUP.test(group))) return false;
+    return halves.length === 2 ? count <= 7 : count === 8;
+}
+
+export const DEFAULT_FORMATS = {
+    email: { validate: isEmail, examples: ["ada@example.com", "grace.hopper+navy@mail.example.org"] },
+    uri: { validate: isUri, examples: ["https://example.com/path?query=1", "mailto:ada@example.com", "urn:isbn:0451450523"] },
+    uuid: { validate: UUID, examples: ["123e4567-e89b-12d3-a456-426614174000", "00000000-0000-0000-0000-000000000000"] },
+    date: { validate: isDate, examples: ["2024-02-29", "1999-12-31"] },
+    "date-time": { validate: isDateTime, examples: ["2024-02-29T12:30:00Z", "1999-12-31T23:59:59.999+01:00"] },
+    time: { validate: isTime, examples: ["12:30:00Z", "23:59:59.5-05:00"] },
+    duration: { validate: DURATION, examples: ["P1Y2M3DT4H5M6S", "PT15M", "P2W"] },
+    ipv4: { validate: isIPv4, examples: ["192.168.0.1", "8.8.8.8"] },
+    ipv6: { validate: isIPv6, examples: ["2001:db8::1", "::ffff:192.168.0.1", "fe80:0:0:0:0:0:0:1"] },
+    hostname: { validate: isHostname, examples: ["example.com", "localhost", "a-b.example.org"] },
+    "hex-color": { validate: HEX_COLOR, examples: ["#fff", "#1e90ff", "#1E90FF80"] },
+    semver: { validate: SEMVER, examples: ["1.0.0", "2.1.3-beta.1+build.5"] },
+};
@@ -0,0 +1,15 @@
+export function escapePointerToken(token) {
+    return String(token).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+export function unescapePointerToken(token) {
+    return token.replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+export function appendPointer(pointer, token) {
+    return `${pointer}/${escapePointerToken(token)}`;
+}
+
+export function pathTokens(path) {
+    return path.split(/\.|\[(\d+)\]/).filter(token => token !== undefined && token !== "");
+}
@@ -0,0 +1,363 @@
+import { appendPointer, escapePointerToken, unescapePointerToken } from "./JSONPointer.js";
+import { propertyKeys } from "./SchemaValidator.js";
+
+const DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+const ANNOTATIONS = new Set([
+    "$schema", "$id", "$comment", "$defs", "title", "description",
+    "examples", "deprecated", "readOnly", "writeOnly",
+]);
+
+const SHARED_KEYWORDS = ["enum", "minLength", "maxLength", "pattern", "default"];
+const RENAMED_KEYWORDS = { minimum: "min", maximum: "max" };
+const LENGTH_KEYWORDS = { minLength: "minItems", maxLength: "maxItems" };
+const ITEM_KEYWORDS = { minItems: "minLength", maxItems: "maxLength" };
+const LIST_TYPES = new Set(["array", "tuple", "set"]);
+const TRANSFORM_KEYWORDS = ["trim", "lowercase", "uppercase"];
+const COMPOSITION_KEYWORDS = ["allOf", "anyOf", "oneOf"];
+const ALTOMARE_TYPES = new Set(["string", "number", "integer", "boolean", "object", "array", "null"]);
+const NUMBER_TYPES = new Set(["integer", "finite"]);
+const RECORD_TYPES = new Set(["object", "record"]);
+const OBJECT_KEYWORDS = ["properties", "required", "additionalProperties", "dependentRequired", "if", "then", "else"];
+const CONDITIONAL_KEYWORDS = ["if", "then", "else"];
+const DEFINITION_REFERENCE = /^#\/\$defs\/([^/]+)$/;
+const JSON_SCHEMA_FORMATS = new Set([
+    "email", "uri", "uuid", "date", "date-time", "time", "duration", "ipv4", "ipv6", "hostname",
+]);
+
+function unwrap(ruleConfig) {
+    return ruleConfig?.value ?? ruleConfig;
+}
+
+function report(unsupported, path, keyword, reason) {
+    unsupported.push({ path: appendPointer(path, keyword), keyword, reason });
+}
+
+function convertTypes(types, path, unsupported, rule) {
+    const nonNull = types.filter(type => type !== "null");
+    if (nonNull.length === 0) {
+        rule.type = "null";
+        return;
+    }
+    if (nonNull.length < types.length) {
+        rule.nullable = true;
+    }
+
+    const converted = nonNull.map(type => convertType(type, path, unsupported)).filter(Boolean);
+    if (converted.length === 1) {
+        rule.type = converted[0];
+    } else if (converted.length > 1) {
+        rule.anyOf = converted.map(type => ({ type }));
+    }
+}
+
+function convertReference(reference, path, unsupported) {
+    const match = DEFINITION_REFERENCE.exec(reference);
+    if (!match) {
+        report(unsupported, path, "$ref", `Only '#/$defs/<name>' references are supported, got '${reference}'`);
+        return undefined;
+    }
+    return unescapePointerToken(match[1]);
+}
+
+function convertType(type, path, unsupported) {
+    if (typeof type !== "string" || !ALTOMARE_TYPES.has(type)) {
+        report(unsupported, path, "type", `Type ${JSON.stringify(type)} has no AltoMare equivalent`);
+        return undefined;
+    }
+    return type;
+}
+
+function ruleFromNode(node, path, state) {
+    const rule = {};
+
+    for (const [keyword, value] of Object.entries(node)) {
+        if (ANNOTATIONS.has(keyword) || OBJECT_KEYWORDS.includes(keyword)) continue;
+
+        if (keyword === "type") {
+            convertTypes([value].flat(), path, state.unsupported, rule);
+        } else if (keyword === "$ref") {
+            const reference = convertReference(value, path, state.unsupported);
+            if (reference) rule.ref = reference;
+        } else if (COMPOSITION_KEYWORDS.includes(keyword)) {
+            rule[keyword] = value.map((branch, index) =>
+                ruleFromNode(branch, appendPointer(appendPointer(path, keyword), index), state));
+        } else if (keyword === "nullable") {
+            rule.nullable = value;
+        } else if (SHARED_KEYWORDS.includes(keyword)) {
+            rule[keyword] = value;
+        } else if (keyword in RENAMED_KEYWORDS) {
+            rule[RENAMED_KEYWORDS[keyword]] = value;
+        } else if (keyword === "const") {
+            rule.enum = [value];
+        } else if (keyword === "format") {
+            if (state.hasFormat(value)) {
+                rule.format = value;
+            } else {
+                report(state.unsupported, path, keyword, `Format '${value}' is not registered in AltoMare`);
+            }
+        } else if (keyword === "prefixItems") {
+            if (isTupleNode(node)) {
+                rule.items = value.map((item, index) =>
+                    ruleFromNode(item, appendPointer(appendPointer(path, keyword), index), state));
+            } else {
+                report(state.unsupported, path, keyword,
+                    "Only fixed-length tuples (items: false and minItems equal to the prefixItems length) are supported");
+            }
+        } else if (keyword === "items") {
+            if (!node.prefixItems) rule.items = ruleFromNode(value, appendPointer(path, "items"), state);
+        } else if (keyword in ITEM_KEYWORDS) {
+            if (!isTupleNode(node)) rule[ITEM_KEYWORDS[keyword]] = value;
+        } else if (keyword === "propertyNames" && isRecordNode(node)) {
+            if (value.pattern !== undefined) rule.keyPattern = value.pattern;
+        } else {
+            report(state.unsupported, path, keyword, `Keyword '${keyword}' is not supported by AltoMare`);
+        }
+    }
+
+    if (isRecordNode(node)) {
+        rule.type = "record";
+        rule.values = ruleFromNode(node.additionalProperties, appendPointer(path, "additionalProperties"), state);
+    } else if (OBJECT_KEYWORDS.some(keyword => keyword in node && keyword !== "additionalProperties")) {
+        rule.properties = schemaFromNode(node, path, state);
+    }
+
+    return rule;
+}
+
+function isListRule(rule) {
+    return LIST_TYPES.has(rule.type) || rule.items !== undefined;
+}
+
+// AltoMare tuples have an exact length, which JSON Schema only expresses by closing and filling the prefix.
+function isTupleNode(node) {
+    return Array.isArray(node.prefixItems) && node.items === false && node.minItems === node.prefixItems.length;
+}
+
+function isRecordNode(node) {
+    return typeof node.additionalProperties === "object" && !node.properties;
+}
+
+function schemaFromNode(node, path, state, open = false) {
+    const schema = {};
+    const properties = node.properties || {};
+
+    if (node.required?.length) {
+        schema.requiredProperties = [...node.required];
+    }
+    if (node.dependentRequired) {
+        schema.dependentRequired = structuredClone(node.dependentRequired);
+    }
+    for (const keyword of CONDITIONAL_KEYWORDS) {
+        if (node[keyword]) {
+            schema[keyword] = schemaFromNode(node[keyword], appendPointer(path, keyword), state, true);
+        }
+    }
+
+    for (const [key, propertyNode] of Object.entries(properties)) {
+        schema[key] = ruleFromNode(propertyNode, appendPointer(appendPointer(path, "properties"), key), state);
+    }
+
+    const { additionalProperties } = node;
+    if (typeof additionalProperties === "object") {
+        report(state.unsupported, path, "additionalProperties", "Schemas for additional properties are not supported");
+    } else if (!open && Object.keys(properties).length > 0 && additionalProperties !== false) {
+        report(state.unsupported, path, "additionalProperties",
+            "AltoMare rejects unknown properties; additional properties will not be allowed");
+    }
+
+    return schema;
+}
+
+function schemaFromRoot(node, path, state) {
+    if (node.type !== undefined && node.type !== "object") {
+        report(state.unsupported, path, "type", "Only object schemas can be registered as AltoMare schemas");
+    }
+
+    for (const keyword of Object.keys(node)) {
+        if (!ANNOTATIONS.has(keyword) && keyword !== "type" && !OBJECT_KEYWORDS.includes(keyword)) {
+            report(state.unsupported, path, keyword, `Keyword '${keyword}' is not supported on a schema root`);
+        }
+    }
+
+    return schemaFromNode(node, path, state);
+}
+
+export function fromJSONSchema(doc, rootName = doc.title, hasFormat = format => JSON_SCHEMA_FORMATS.has(format)) {
+    const schemas = {};
+    const unsupported = [];
+    const state = { unsupported, hasFormat };
+
+    for (const [name, definition] of Object.entries(doc.$defs || {})) {
+        schemas[name] = schemaFromRoot(definition, appendPointer("/$defs", name), state);
+    }
+
+    if (doc.properties || doc.required) {
+        if (!rootName) {
+            throw new Error("A root JSON Schema needs a 'title' or an explicit name to be registered");
+        }
+        schemas[rootName] = schemaFromRoot(doc, "", state);
+    }
+
+    return { schemas, unsupported };
+}
+
+function nodeFromRule(rule, path, state) {
+    const node = {};
+
+    for (const [keyword, ruleConfig] of Object.entries(rule)) {
+        if (keyword === "type") {
+            if (ruleConfig === "function") {
+                report(state.unsupported, path, keyword, "Functions cannot be described by JSON Schema");
+            } else if (ruleConfig === "date") {
+                Object.assign(node, { type: "string", format: "date-time" });
+            } else if (NUMBER_TYPES.has(ruleConfig)) {
+                node.type = ruleConfig === "integer" ? "integer" : "number";
+            } else if (RECORD_TYPES.has(ruleConfig)) {
+                node.type = "object";
+            } else if (ruleConfig === "tuple") {
+                node.type = "array";
+            } else if (!ALTOMARE_TYPES.has(ruleConfig) && ruleConfig !== "any") {
+                report(state.unsupported, path, keyword, `Type '${ruleConfig}' cannot be represented in JSON`);
+            } else if (ruleConfig !== "any") {
+                node.type = ruleConfig;
+            }
+            continue;
+        }
+        if (keyword === "items" && Array.isArray(ruleConfig)) {
+            Object.assign(node, {
+                prefixItems: ruleConfig.map((item, index) =>
+                    nodeFromRule(item, appendPointer(appendPointer(path, "items"), index), state)),
+                items: false,
+                minItems: ruleConfig.length,
+            });
+            continue;
+        }
+        if (keyword === "items") {
+            node.items = nodeFromRule(ruleConfig, appendPointer(path, "items"), state);
+            continue;
+        }
+        if (keyword === "values") {
+            node.additionalProperties = nodeFromRule(ruleConfig, appendPointer(path, "values"), state);
+            continue;
+        }
+        if (keyword === "keys") {
+            node.propertyNames = { ...node.propertyNames, ...nodeFromRule(ruleConfig, appendPointer(path, "keys"), state) };
+            continue;
+        }
+        if (keyword === "keyPattern") {
+            node.propertyNames = { ...node.propertyNames, pattern: ruleConfig instanceof RegExp ? ruleConfig.source : ruleConfig };
+            continue;
+        }
+        if (keyword === "properties") {
+            Object.assign(node, nodeFromSchema(ruleConfig, path, state));
+            continue;
+        }
+        if (keyword === "ref") {
+            node.$ref = referenceTo(ruleConfig, state);
+            continue;
+        }
+        if (COMPOSITION_KEYWORDS.includes(keyword)) {
+            node[keyword] = ruleConfig.map((branch, index) =>
+                nodeFromRule(branch, appendPointer(appendPointer(path, keyword), index), state));
+            continue;
+        }
+        if (keyword === "required" || keyword === "nullable") continue;
+        if (keyword === "messages") {
+            report(state.unsupported, path, keyword, "Custom error messages are not part of JSON Schema");
+            continue;
+        }
+
+        const value = unwrap(ruleConfig);
+        if (ruleConfig?.message !== undefined) {
+            report(state.unsupported, path, keyword, "Custom error messages are not part of JSON Schema");
+        }
+
+        if (keyword in LENGTH_KEYWORDS && isListRule(rule)) {
+            // AltoMare measures arrays with the string length keywords; JSON Schema ignores those on arrays.
+            node[LENGTH_KEYWORDS[keyword]] = value;
+        } else if (SHARED_KEYWORDS.includes(keyword)) {
+            node[keyword] = value;
+        } else if (keyword === "format") {
+            Object.assign(node, formatNode(value, rule, path, state));
+        } else if (keyword === "min" || keyword === "max") {
+            node[keyword === "min" ? "minimum" : "maximum"] = value;
+        } else if (TRANSFORM_KEYWORDS.includes(keyword)) {
+            report(state.unsupported, path, keyword, `Transform '${keyword}' only applies when parsing`);
+        } else {
+            report(state.unsupported, path, keyword, `Custom validator '${keyword}' cannot be expressed in JSON Schema`);
+        }
+    }
+
+    if (rule.nullable) {
+        return typeof node.type === "string"
+            ? { ...node, type: [node.type, "null"] }
+            : { anyOf: [node, { type: "null" }] };
+    }
+    return node;
+}
+
+function formatNode(name, rule, path, state) {
+    if (JSON_SCHEMA_FORMATS.has(name)) return { format: name };
+
+    const { pattern } = state.resolveFormat(name);
+    if (pattern && !pattern.flags && rule.pattern === undefined) return { pattern: pattern.source };
+
+    report(state.unsupported, path, "format", `Format '${name}' is not defined by JSON Schema`);
+    return { format: name };
+}
+
+function referenceTo(name, state) {
+    state.references.add(name);
+    return `#/$defs/${escapePointerToken(name)}`;
+}
+
+function nodeFromSchema(schema, path, state, open = false) {
+    const node = open ? { properties: {} } : { type: "object", properties: {} };
+
+    for (const key of propertyKeys(schema)) {
+        node.properties[key] = nodeFromRule(schema[key], appendPointer(appendPointer(path, "properties"), key), state);
+    }
+
+    if (schema.requiredProperties?.length) {
+        node.required = [...schema.requiredProperties];
+    }
+    if (schema.dependentRequired) {
+        node.dependentRequired = structuredClone(schema.dependentRequired);
+    }
+    for (const keyword of CONDITIONAL_KEYWORDS) {
+        if (schema[keyword]) {
+            node[keyword] = nodeFromSchema(schema[keyword], appendPointer(path, keyword), state, true);
+        }
+    }
+    if (schema.checks) {
+        report(state.unsupported, path, "checks", "Object checks are functions and cannot be expressed in JSON Schema");
+    }
+    if (schema.messages) {
+        report(state.unsupported, path, "messages", "Custom error messages are not part of JSON Schema");
+    }
+    if (!open && Object.keys(node.properties).length > 0) {
+        node.additionalProperties = false;
+    }
+    if (open && Object.keys(node.properties).length === 0) {
+        delete node.properties;
+    }
+
+    return node;
+}
+
+export function toJSONSchema(schema, name, resolveSchema, resolveFormat) {
+    const state = { unsupported: [], references: new Set(), resolveFormat };
+    const body = nodeFromSchema(schema, "", state);
+    const definitions = {};
+
+    for (const reference of state.references) {
+        definitions[reference] = nodeFromSchema(resolveSchema(reference), appendPointer("/$defs", reference), state);
+    }
+
+    const document = { $schema: DIALECT, title: name, ...body };
+    if (state.references.size > 0) {
+        document.$defs = definitions;
+    }
+    return { schema: document, unsupported: state.unsupported };
+}
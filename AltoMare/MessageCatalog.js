@@ -0,0 +1,84 @@
+export const DEFAULT_LOCALE = "en";
+
+const DEFAULT_MESSAGES = {
+    type: "Type validation failed. Expected {expected}, got {actualType}",
+    required: "Required property '{property}' is missing",
+    unknownProperty: "Unknown property '{property}' is not allowed",
+    dependentRequired: "Property '{property}' is required when '{trigger}' is present",
+    check: "Object check failed",
+    enum: "Value must be one of {enum}",
+    min: "Value must be at least {min}",
+    max: "Value must be at most {max}",
+    minLength: "Value must have a length of at least {minLength}",
+    maxLength: "Value must have a length of at most {maxLength}",
+    pattern: "Value must match the pattern {pattern}",
+    tuple: "Value must have exactly {tuple} items",
+    keyPattern: "Key '{property}' must match the pattern {keyPattern}",
+    allOf: "allOf validation failed: {branches}",
+    anyOf: "anyOf validation failed, no branch matched: {branches}",
+    oneOf: "oneOf validation failed, no branch matched: {branches}",
+    "oneOf.multiple": "oneOf validation failed, branches {matched} all matched",
+    format: "Value must be a valid {format}",
+    "format.email": "Value must be a valid email address",
+    "format.uri": "Value must be an absolute URI",
+    "format.uuid": "Value must be a UUID",
+    "format.date": "Value must be a date in the form YYYY-MM-DD",
+    "format.date-time": "Value must be an RFC 3339 date-time",
+    "format.time": "Value must be an RFC 3339 time with an offset",
+    "format.duration": "Value must be an ISO 8601 duration",
+    "format.ipv4": "Value must be an IPv4 address",
+    "format.ipv6": "Value must be an IPv6 address",
+    "format.hostname": "Value must be a hostname",
+    "format.hex-color": "Value must be a hex color",
+    "format.semver": "Value must be a semantic version",
+};
+
+function formatParam(value) {
+    if (Array.isArray(value)) return value.map(formatParam).join(", ");
+    if (value instanceof RegExp) return value.source;
+    if (typeof value === "object" && value !== null) return JSON.stringify(value);
+    return String(value);
+}
+
+class MessageCatalog {
+    #catalogs = new Map([[DEFAULT_LOCALE, { ...DEFAULT_MESSAGES }]]);
+    #locale = DEFAULT_LOCALE;
+
+    get locale() {
+        return this.#locale;
+    }
+
+    setLocale(locale) {
+        if (!this.#catalogs.has(locale)) {
+            throw new Error(`No messages registered for locale '${locale}'`);
+        }
+        this.#locale = locale;
+    }
+
+    register(locale, catalog) {
+        this.#catalogs.set(locale, { ...this.#catalogs.get(locale), ...catalog });
+    }
+
+    format(key, code, params, template, overrides) {
+        const message = template
+            ?? this.#lookup(overrides, key, code)
+            ?? this.#lookup(this.#catalogs.get(this.#locale), key, code)
+            ?? this.#lookup(this.#catalogs.get(DEFAULT_LOCALE), key, code)
+            ?? "{code} validation failed";
+
+        return this.interpolate(message, { code, ...params });
+    }
+
+    interpolate(template, params) {
+        if (typeof template === "function") return template(params);
+
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            (params[name] === undefined ? placeholder : formatParam(params[name])));
+    }
+
+    #lookup(catalog, key, code) {
+        return catalog?.[key] ?? catalog?.[code];
+    }
+}
+
+export default MessageCatalog;
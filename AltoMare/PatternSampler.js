@@ -0,0 +1,210 @@
+const PRINTABLE = Array.from({ length: 95 }, (_, index) => String.fromCharCode(32 + index));
+const DIGITS = PRINTABLE.filter(char => /\d/.test(char));
+const WORD = PRINTABLE.filter(char => /\w/.test(char));
+const SPACE = [" "];
+
+const CLASS_ESCAPES = {
+    d: DIGITS,
+    w: WORD,
+    s: SPACE,
+    D: PRINTABLE.filter(char => !DIGITS.includes(char)),
+    W: PRINTABLE.filter(char => !WORD.includes(char)),
+    S: PRINTABLE.filter(char => !SPACE.includes(char)),
+};
+
+const CONTROL_ESCAPES = { n: "\n", r: "\r", t: "\t", f: "\f", v: "\v", 0: "\0" };
+
+const UNBOUNDED_REPEAT = 3;
+
+const parsedPatterns = new Map();
+
+class PatternParser {
+    #source;
+    #index = 0;
+
+    constructor(source) {
+        this.#source = source;
+    }
+
+    parse() {
+        const alternation = this.#alternation();
+        if (this.#index < this.#source.length) {
+            throw new Error(`Unexpected '${this.#peek()}' in pattern /${this.#source}/`);
+        }
+        return alternation;
+    }
+
+    #peek() {
+        return this.#source[this.#index];
+    }
+
+    #unsupported(feature) {
+        return new Error(`Cannot generate samples for pattern /${this.#source}/: ${feature} is not supported`);
+    }
+
+    #alternation() {
+        const options = [this.#sequence()];
+        while (this.#peek() === "|") {
+            this.#index++;
+            options.push(this.#sequence());
+        }
+        return { type: "alternation", options };
+    }
+
+    #sequence() {
+        const items = [];
+        while (this.#index < this.#source.length && this.#peek() !== "|" && this.#peek() !== ")") {
+            const atom = this.#atom();
+            const { min, max } = this.#quantifier();
+            if (atom) items.push({ atom, min, max });
+        }
+        return items;
+    }
+
+    #atom() {
+        const char = this.#source[this.#index++];
+        switch (char) {
+            case "^":
+            case "$":
+                return null;
+            case ".":
+                return { type: "set", chars: PRINTABLE };
+            case "[":
+                return this.#characterClass();
+            case "(":
+                return this.#group();
+            case "\\":
+                return this.#escape(false);
+            default:
+                return { type: "set", chars: [char] };
+        }
+    }
+
+    #group() {
+        const rest = this.#source.slice(this.#index);
+        if (rest.startsWith("?:")) {
+            this.#index += 2;
+        } else if (/^\?<[A-Za-z_$]/.test(rest)) {
+            this.#index = this.#source.indexOf(">", this.#index) + 1;
+        } else if (rest.startsWith("?")) {
+            throw this.#unsupported("lookaround");
+        }
+
+        const alternation = this.#alternation();
+        if (this.#source[this.#index++] !== ")") {
+            throw new Error(`Unterminated group in pattern /${this.#source}/`);
+        }
+        return { type: "group", alternation };
+    }
+
+    #escape(inClass) {
+        const char = this.#source[this.#index++];
+        if (CLASS_ESCAPES[char]) return { type: "set", chars: CLASS_ESCAPES[char] };
+        if (CONTROL_ESCAPES[char]) return { type: "set", chars: [CONTROL_ESCAPES[char]] };
+        if ((char === "b" || char === "B") && !inClass) return null;
+        if (char === "b") return { type: "set", chars: ["\b"] };
+        if (/[1-9]/.test(char) || char === "k") throw this.#unsupported("backreference");
+
+        const hexLength = { x: 2, u: 4 }[char];
+        if (hexLength) {
+            const code = this.#source.slice(this.#index, this.#index + hexLength);
+            this.#index += hexLength;
+            return { type: "set", chars: [String.fromCharCode(parseInt(code, 16))] };
+        }
+        return { type: "set", chars: [char] };
+    }
+
+    #characterClass() {
+        const negated = this.#peek() === "^";
+        if (negated) this.#index++;
+
+        const chars = new Set();
+        while (this.#peek() !== "]") {
+            if (this.#index >= this.#source.length) {
+                throw new Error(`Unterminated character class in pattern /${this.#source}/`);
+            }
+
+            const start = this.#classMember();
+            const isRange = start.length === 1 && this.#peek() === "-" && this.#source[this.#index + 1] !== "]";
+            if (!isRange) {
+                start.forEach(char => chars.add(char));
+                continue;
+            }
+
+            this.#index++;
+            const [end] = this.#classMember();
+            for (let code = start[0].charCodeAt(0); code <= end.charCodeAt(0); code++) {
+                chars.add(String.fromCharCode(code));
+            }
+        }
+        this.#index++;
+
+        return { type: "set", chars: negated ? PRINTABLE.filter(char => !chars.has(char)) : [...chars] };
+    }
+
+    #classMember() {
+        const char = this.#source[this.#index++];
+        return char === "\\" ? this.#escape(true).chars : [char];
+    }
+
+    #quantifier() {
+        const char = this.#peek();
+        let bounds = { min: 1, max: 1 };
+
+        if (char === "*" || char === "+" || char === "?") {
+            this.#index++;
+            const min = char === "+" ? 1 : 0;
+            bounds = { min, max: char === "?" ? 1 : min + UNBOUNDED_REPEAT };
+        } else if (char === "{") {
+            const match = /^\{(\d+)(,(\d*))?\}/.exec(this.#source.slice(this.#index));
+            if (!match) return bounds;
+
+            this.#index += match[0].length;
+            const min = Number(match[1]);
+            const max = match[2] === undefined ? min : match[3] === "" ? min + UNBOUNDED_REPEAT : Number(match[3]);
+            bounds = { min, max };
+        } else {
+            return bounds;
+        }
+
+        if (this.#peek() === "?") this.#index++;
+        return bounds;
+    }
+}
+
+function pick(values, random) {
+    return values[Math.floor(random() * values.length)];
+}
+
+function sampleNode(node, random) {
+    if (node.type === "alternation") {
+        return pick(node.options, random).map(item => sampleItem(item, random)).join("");
+    }
+    if (node.type === "group") {
+        return sampleNode(node.alternation, random);
+    }
+    if (node.chars.length === 0) {
+        throw new Error("Cannot generate samples for an empty character class");
+    }
+    return pick(node.chars, random);
+}
+
+function sampleItem({ atom, min, max }, random) {
+    const count = min + Math.floor(random() * (max - min + 1));
+    let result = "";
+    for (let index = 0; index < count; index++) {
+        result += sampleNode(atom, random);
+    }
+    return result;
+}
+
+export function samplePattern(pattern, random) {
+    const source = pattern instanceof RegExp ? pattern.source : pattern;
+
+    let tree = parsedPatterns.get(source);
+    if (!tree) {
+        tree = new PatternParser(source).parse();
+        parsedPatterns.set(source, tree);
+    }
+    return sampleNode(tree, random);
+}
@@ -0,0 +1,402 @@
+import { appendPointer, unescapePointerToken } from "./JSONPointer.js";
+import { mergeSchemas } from "./SchemaMerge.js";
+import { samplePattern } from "./PatternSampler.js";
+import { propertyKeys } from "./SchemaValidator.js";
+import { TYPED_ARRAYS } from "./ValidatorRegistry.js";
+
+const MAX_ATTEMPTS = 25;
+const MAX_OPTIONAL_DEPTH = 4;
+const MAX_DEPTH = 32;
+const DEFAULT_RANGE = 100;
+const DEFAULT_LENGTH = 8;
+const LETTERS = "abcdefghijklmnopqrstuvwxyz";
+const UNKNOWN_KEY = "__unknown__";
+const WRONG_TYPE_VALUES = [42, "invalid", true, [], {}];
+const NON_MATCHING_STRINGS = ["", " ", "!", "~~~", "\n"];
+const NON_MATCHING_KEYS = ["_", "~", "0", "!key"];
+
+function mulberry32(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function pick(values, random) {
+    return values[Math.floor(random() * values.length)];
+}
+
+function integerBetween(min, max, random) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+function unwrap(ruleConfig) {
+    return ruleConfig?.value ?? ruleConfig;
+}
+
+function isPlainObject(value) {
+    if (typeof value !== "object" || value === null) return false;
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+function copy(value) {
+    if (Array.isArray(value)) return value.map(copy);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, copy(entry)]));
+    }
+    return value;
+}
+
+function locate(data, path) {
+    const tokens = path.split("/").slice(1).map(unescapePointerToken);
+    const key = tokens.pop();
+    return { parent: tokens.reduce((target, token) => target[token], data), key };
+}
+
+function replaceAt(path, value) {
+    return data => {
+        const { parent, key } = locate(data, path);
+        parent[key] = value;
+    };
+}
+
+function removeAt(path) {
+    return data => {
+        const { parent, key } = locate(data, path);
+        delete parent[key];
+    };
+}
+
+class SampleGenerator {
+    #registry;
+    #validator;
+    #resolveSchema;
+
+    constructor(registry, validator, resolveSchema) {
+        this.#registry = registry;
+        this.#validator = validator;
+        this.#resolveSchema = resolveSchema;
+    }
+
+    generate(schema, seed, schemaName) {
+        return this.#validSample(schema, { random: mulberry32(seed), complete: false }, schemaName);
+    }
+
+    generateInvalid(schema, seed, schemaName) {
+        // Optional properties are always filled in so that their rules get near misses too.
+        const state = { random: mulberry32(seed), complete: true };
+        const base = this.#validSample(schema, state, schemaName);
+
+        const samples = [];
+        for (const { rule, path, apply } of this.objectMutations(schema, base, "", state)) {
+            const data = copy(base);
+            apply(data);
+            if (this.#errors(schema, data).some(error => error.code === rule)) {
+                samples.push({ rule, path, data });
+            }
+        }
+        return samples;
+    }
+
+    #validSample(schema, state, schemaName) {
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const sample = this.objectSample(schema, state, 0);
+            if (this.#errors(schema, sample).length === 0) return sample;
+        }
+        throw new Error(`Could not generate a valid sample for schema '${schemaName}' in ${MAX_ATTEMPTS} attempts`);
+    }
+
+    #errors(schema, data) {
+        return this.#validator.validateObject(data, schema, "", this.#validator.createContext());
+    }
+
+    objectSample(schema, state, depth) {
+        if (depth > MAX_DEPTH) {
+            throw new Error("Schema nesting is too deep to generate a sample; check for required recursive references");
+        }
+
+        const required = new Set(schema.requiredProperties || []);
+        const sample = {};
+        for (const key of propertyKeys(schema)) {
+            if (required.has(key) || (depth < MAX_OPTIONAL_DEPTH && (state.complete || state.random() < 0.5))) {
+                sample[key] = this.valueSample(schema[key], state, depth);
+            }
+        }
+
+        for (const [trigger, dependents] of Object.entries(schema.dependentRequired || {})) {
+            if (!(trigger in sample)) continue;
+
+            for (const key of dependents) {
+                if (!(key in sample)) sample[key] = this.valueSample(schema[key] ?? {}, state, depth);
+            }
+        }
+
+        if (schema.if) {
+            const conditionErrors = this.#validator.validateObject(sample, schema.if, "", this.#validator.createContext(), true);
+            const branch = conditionErrors.length === 0 ? schema.then : schema.else;
+            if (branch) this.#applyBranch(sample, schema, branch, state, depth);
+        }
+
+        return sample;
+    }
+
+    #applyBranch(sample, schema, branch, state, depth) {
+        const required = branch.requiredProperties || [];
+        for (const key of new Set([...required, ...propertyKeys(branch)])) {
+            if (!(key in sample) && !required.includes(key)) continue;
+            sample[key] = this.valueSample(mergeSchemas(schema[key] ?? {}, branch[key] ?? {}), state, depth);
+        }
+    }
+
+    valueSample(rule, state, depth) {
+        if (rule.nullable && state.random() < 0.1) return null;
+
+        const resolved = this.#resolveComposition(rule, state);
+        const custom = this.#customSample(resolved, state);
+        if (custom !== undefined) return custom;
+
+        if (resolved.enum) return pick(unwrap(resolved.enum), state.random);
+        if (resolved.ref) return this.objectSample(this.#resolveSchema(resolved.ref), state, depth + 1);
+        if (resolved.properties) return this.objectSample(resolved.properties, state, depth + 1);
+        return this.typeSample(resolved, state, depth);
+    }
+
+    #resolveComposition(rule, state) {
+        let resolved = rule;
+        while (resolved.allOf || resolved.anyOf || resolved.oneOf) {
+            const { allOf, anyOf, oneOf, ...rest } = resolved;
+            const branches = [...(allOf || [])];
+            if (anyOf) branches.push(pick(anyOf, state.random));
+            if (oneOf) branches.push(pick(oneOf, state.random));
+            resolved = branches.reduce((merged, branch) => mergeSchemas(merged, branch), rest);
+        }
+        return resolved;
+    }
+
+    #customSample(rule, state) {
+        for (const [ruleName, ruleConfig] of Object.entries(rule)) {
+            if (!this.#validator.isRule(ruleName)) continue;
+
+            const hook = this.#registry.getValidator(ruleName).generate;
+            if (typeof hook !== "function") continue;
+
+            const value = hook(unwrap(ruleConfig), { random: state.random, valid: true, rule });
+            if (value !== undefined) return value;
+        }
+
+        const typeHook = rule.type && this.#registry.getTypeValidator(rule.type).generate;
+        return typeof typeHook === "function" ? typeHook({ random: state.random, rule }) : undefined;
+    }
+
+    typeSample(rule, state, depth) {
+        switch (rule.type ?? "any") {
+            case "string":
+                return this.#stringSample(rule, state);
+            case "number":
+            case "integer":
+            case "finite":
+                return this.#numberSample(rule, state);
+            case "bigint":
+                return BigInt(Math.round(this.#numberSample(rule, state)));
+            case "boolean":
+                return state.random() < 0.5;
+            case "null":
+                return null;
+            case "array":
+            case "tuple":
+                return this.#arraySample(rule, state, depth);
+            case "set":
+                return new Set(this.#arraySample(rule, state, depth));
+            case "map":
+                return new Map(this.#entriesSample(rule, state, depth));
+            case "object":
+            case "record":
+                return Object.fromEntries(this.#entriesSample(rule, state, depth));
+            case "typedarray":
+                return Uint8Array.from(this.#arraySample({ items: { type: "integer", min: 0, max: 255 } }, state, depth));
+            case "date":
+                return new Date(Date.UTC(2000, 0, 1) + Math.floor(state.random() * 1e12));
+            case "function":
+                return () => {};
+            case "any":
+                return this.#stringSample({}, state);
+            default:
+                if (TYPED_ARRAYS[rule.type]) return this.#typedArraySample(TYPED_ARRAYS[rule.type], rule, state, depth);
+                throw new Error(`Type "${rule.type}" has no sample generator; add a generate hook to its type validator`);
+        }
+    }
+
+    #stringSample(rule, state) {
+        const pattern = unwrap(rule.pattern);
+        if (pattern !== undefined) return samplePattern(pattern, state.random);
+
+        const minLength = unwrap(rule.minLength) ?? 1;
+        const maxLength = unwrap(rule.maxLength) ?? Math.max(minLength, DEFAULT_LENGTH);
+        const length = integerBetween(minLength, Math.max(minLength, maxLength), state.random);
+
+        let result = "";
+        for (let index = 0; index < length; index++) {
+            result += pick(LETTERS, state.random);
+        }
+        return rule.uppercase ? result.toUpperCase() : result;
+    }
+
+    #numberSample(rule, state) {
+        const min = unwrap(rule.min);
+        const max = unwrap(rule.max);
+        const lower = min ?? (max === undefined ? 0 : max - DEFAULT_RANGE);
+        const upper = max ?? lower + DEFAULT_RANGE;
+
+        const [first, last] = [Math.ceil(lower), Math.floor(upper)];
+        if (first > last) return lower + state.random() * (upper - lower);
+        return integerBetween(first, last, state.random);
+    }
+
+    #arraySample(rule, state, depth) {
+        if (Array.isArray(rule.items)) {
+            return rule.items.map(item => this.valueSample(item, state, depth + 1));
+        }
+
+        const minLength = unwrap(rule.minLength) ?? 0;
+        const maxLength = depth < MAX_OPTIONAL_DEPTH ? unwrap(rule.maxLength) ?? minLength + 3 : minLength;
+        const length = integerBetween(minLength, Math.max(minLength, maxLength), state.random);
+
+        return Array.from({ length }, () => (rule.items
+            ? this.valueSample(rule.items, state, depth + 1)
+            : this.#stringSample({}, state)));
+    }
+
+    #typedArraySample(TypedArray, rule, state, depth) {
+        const values = this.#arraySample({ ...rule, items: { type: "integer", min: 0, max: 100 } }, state, depth);
+        const isBigInt = TypedArray === BigInt64Array || TypedArray === BigUint64Array;
+        return TypedArray.from(values, isBigInt ? BigInt : Number);
+    }
+
+    #entriesSample(rule, state, depth) {
+        if (!rule.keys && !rule.values && rule.keyPattern === undefined) return [];
+
+        const keyPattern = unwrap(rule.keyPattern);
+        const count = depth < MAX_OPTIONAL_DEPTH ? integerBetween(1, 3, state.random) : 0;
+        return Array.from({ length: count }, () => {
+            let key;
+            if (keyPattern !== undefined) key = samplePattern(keyPattern, state.random);
+            else if (rule.keys) key = this.valueSample(rule.keys, state, depth + 1);
+            else key = this.#stringSample({}, state);
+            const value = rule.values ? this.valueSample(rule.values, state, depth + 1) : this.#stringSample({}, state);
+            return [key, value];
+        });
+    }
+
+    objectMutations(schema, data, path, state) {
+        const mutations = [];
+
+        for (const key of schema.requiredProperties || []) {
+            if (key in data) mutations.push({ rule: "required", path: appendPointer(path, key), apply: removeAt(appendPointer(path, key)) });
+        }
+
+        for (const [trigger, dependents] of Object.entries(schema.dependentRequired || {})) {
+            const triggerValue = trigger in data ? data[trigger] : this.valueSample(schema[trigger] ?? {}, state, 0);
+            for (const key of dependents) {
+                const dependentPath = appendPointer(path, key);
+                mutations.push({
+                    rule: "dependentRequired",
+                    path: dependentPath,
+                    apply: target => {
+                        replaceAt(appendPointer(path, trigger), triggerValue)(target);
+                        removeAt(dependentPath)(target);
+                    },
+                });
+            }
+        }
+
+        const keys = propertyKeys(schema);
+        if (keys.length > 0 && !keys.includes(UNKNOWN_KEY)) {
+            const unknownPath = appendPointer(path, UNKNOWN_KEY);
+            mutations.push({ rule: "unknownProperty", path: unknownPath, apply: replaceAt(unknownPath, true) });
+        }
+
+        for (const key of keys) {
+            if (key in data) mutations.push(...this.valueMutations(schema[key], data[key], appendPointer(path, key), state));
+        }
+        return mutations;
+    }
+
+    valueMutations(rule, value, path, state) {
+        const mutations = [];
+        const mutate = (ruleName, invalid) => {
+            if (invalid !== undefined) mutations.push({ rule: ruleName, path, apply: replaceAt(path, invalid) });
+        };
+
+        if (rule.type && rule.type !== "any") {
+            const typeValidator = this.#registry.getTypeValidator(rule.type);
+            mutate("type", WRONG_TYPE_VALUES.find(candidate => !typeValidator(candidate)));
+        }
+
+        for (const [ruleName, ruleConfig] of Object.entries(rule)) {
+            if (!this.#validator.isRule(ruleName)) continue;
+            mutate(ruleName, this.#invalidValue(ruleName, unwrap(ruleConfig), rule, value, state));
+        }
+
+        if (value === null || typeof value !== "object") return mutations;
+
+        if (rule.properties) {
+            mutations.push(...this.objectMutations(rule.properties, value, path, state));
+        }
+        if (rule.ref) {
+            mutations.push(...this.objectMutations(this.#resolveSchema(rule.ref), value, path, state));
+        }
+        if (Array.isArray(rule.items) && Array.isArray(value)) {
+            mutations.push({ rule: "tuple", path, apply: replaceAt(path, value.slice(0, -1)) });
+            rule.items.forEach((item, index) => {
+                mutations.push(...this.valueMutations(item, value[index], `${path}/${index}`, state));
+            });
+        } else if (rule.items && Array.isArray(value) && value.length > 0) {
+            mutations.push(...this.valueMutations(rule.items, value[0], `${path}/0`, state));
+        }
+        if (rule.keyPattern !== undefined && isPlainObject(value)) {
+            const regex = new RegExp(unwrap(rule.keyPattern));
+            const key = NON_MATCHING_KEYS.find(candidate => !regex.test(candidate));
+            if (key !== undefined) {
+                const entryPath = appendPointer(path, key);
+                const entry = rule.values ? this.valueSample(rule.values, state, MAX_OPTIONAL_DEPTH) : "a";
+                mutations.push({ rule: "keyPattern", path: entryPath, apply: replaceAt(entryPath, entry) });
+            }
+        }
+        return mutations;
+    }
+
+    #invalidValue(ruleName, ruleValue, rule, value, state) {
+        switch (ruleName) {
+            case "enum":
+                return typeof ruleValue[0] === "number"
+                    ? Math.max(...ruleValue) + 1
+                    : ruleValue.map(String).join("") + "_invalid";
+            case "min":
+                return typeof ruleValue === "number" ? ruleValue - 1 : undefined;
+            case "max":
+                return typeof ruleValue === "number" ? ruleValue + 1 : undefined;
+            case "minLength":
+                if (ruleValue < 1) return undefined;
+                return Array.isArray(value) ? value.slice(0, ruleValue - 1) : "a".repeat(ruleValue - 1);
+            case "maxLength":
+                if (!Array.isArray(value)) return "a".repeat(ruleValue + 1);
+                return [...value, ...Array.from({ length: ruleValue + 1 - value.length },
+                    () => (rule.items ? this.valueSample(rule.items, state, MAX_OPTIONAL_DEPTH) : "a"))];
+            case "pattern": {
+                const regex = ruleValue instanceof RegExp ? ruleValue : new RegExp(ruleValue);
+                return NON_MATCHING_STRINGS.find(candidate => !regex.test(candidate));
+            }
+            default: {
+                const hook = this.#registry.getValidator(ruleName).generate;
+                return typeof hook === "function" ? hook(ruleValue, { random: state.random, valid: false, rule }) : undefined;
+            }
+        }
+    }
+}
+
+export default SampleGenerator;
@@ -0,0 +1,210 @@
+import { escapePointerToken } from "./JSONPointer.js";
+import { collectionEntries, collectionItems, propertyKeys, withMessages } from "./SchemaValidator.js";
+import { isObject } from "./ValidatorRegistry.js";
+
+class SchemaCompiler {
+    #registry;
+    #validator;
+    #resolveCompiled;
+
+    constructor(registry, validator, resolveCompiled) {
+        this.#registry = registry;
+        this.#validator = validator;
+        this.#resolveCompiled = resolveCompiled;
+    }
+
+    compileObject(schema, open = false) {
+        const validator = this.#validator;
+        const required = (schema.requiredProperties || []).map(key => [key, `/${escapePointerToken(key)}`]);
+        const allowedKeys = propertyKeys(schema);
+        const allowed = new Set(allowedKeys);
+        const properties = allowedKeys.map(key => [key, `/${escapePointerToken(key)}`, this.compileRule(schema[key])]);
+        const checkUnknown = allowed.size > 0 && !open;
+        const validateConditional = this.compileConditional(schema);
+        const { messages } = schema;
+
+        return (data, path, parentContext) => {
+            const context = withMessages(parentContext, messages);
+            if (!isObject(data)) {
+                return [validator.createObjectTypeError(path, data, context)];
+            }
+
+            const errors = [];
+            for (const [key, token] of required) {
+                if (!(key in data)) errors.push(validator.createRequiredError(path + token, key, context));
+            }
+
+            if (checkUnknown && !context.allowUnknown) {
+                for (const key in data) {
+                    if (!Object.hasOwn(data, key) || allowed.has(key)) continue;
+                    errors.push(validator.createUnknownPropertyError(
+                        `${path}/${escapePointerToken(key)}`, key, allowedKeys, data[key], context));
+                }
+            }
+
+            for (const [key, token, validateValue] of properties) {
+                if (key in data) {
+                    const propertyErrors = validateValue(data[key], path + token, context);
+                    if (propertyErrors.length > 0) errors.push(...propertyErrors);
+                }
+            }
+
+            if (schema.dependentRequired) {
+                errors.push(...validator.validateDependentRequired(data, schema, path, context));
+            }
+            if (validateConditional) {
+                errors.push(...validateConditional(data, path, context));
+            }
+            if (schema.checks) {
+                errors.push(...validator.validateChecks(data, schema, path, context));
+            }
+
+            return errors;
+        };
+    }
+
+    compileConditional(schema) {
+        if (!schema.if) return null;
+
+        const validateCondition = this.compileObject(schema.if, true);
+        const validateThen = schema.then ? this.compileObject(schema.then, true) : null;
+        const validateElse = schema.else ? this.compileObject(schema.else, true) : null;
+
+        return (data, path, context) => {
+            const branch = validateCondition(data, path, context).length === 0 ? validateThen : validateElse;
+            return branch ? branch(data, path, context) : [];
+        };
+    }
+
+    compileRule(rule) {
+        const steps = [];
+
+        if (rule.type) {
+            const { type } = rule;
+            const typeValidator = this.#registry.getTypeValidator(type);
+            steps.push((value, path, context, errors) => {
+                if (!typeValidator(value)) errors.push(this.#validator.createTypeError(path, type, value, context));
+            });
+        }
+
+        for (const [ruleName, ruleConfig] of Object.entries(rule)) {
+            if (!this.#validator.isRule(ruleName)) continue;
+
+            const ruleValidator = this.#registry.getValidator(ruleName);
+            steps.push((value, path, context, errors) => {
+                const error = this.#validator.runRule(ruleName, ruleValidator, ruleConfig, value, path, context);
+                if (error) errors.push(error);
+            });
+        }
+
+        if (rule.properties) {
+            const validateObject = this.compileObject(rule.properties);
+            steps.push((value, path, context, errors) => {
+                if (isObject(value)) errors.push(...validateObject(value, path, context));
+            });
+        }
+
+        if (Array.isArray(rule.items)) {
+            steps.push(this.compileTuple(rule.items));
+        } else if (rule.items) {
+            const validateItem = this.compileRule(rule.items);
+            steps.push((value, path, context, errors) => {
+                if (Array.isArray(value)) {
+                    for (let index = 0; index < value.length; index++) {
+                        errors.push(...validateItem(value[index], `${path}/${index}`, context));
+                    }
+                    return;
+                }
+                for (const [index, item] of collectionItems(value)) {
+                    errors.push(...validateItem(item, `${path}/${index}`, context));
+                }
+            });
+        }
+
+        if (rule.keys || rule.values || rule.keyPattern !== undefined) {
+            steps.push(this.compileEntries(rule));
+        }
+
+        if (rule.ref) {
+            steps.push(this.compileReference(rule.ref));
+        }
+
+        for (const keyword of ["allOf", "anyOf", "oneOf"]) {
+            if (!rule[keyword]) continue;
+
+            const branches = rule[keyword].map(branch => this.compileRule(branch));
+            steps.push((value, path, context, errors) => {
+                const branchErrors = branches.map(validateBranch => validateBranch(value, path, context));
+                errors.push(...this.#validator.decideComposition(keyword, branchErrors, value, path, context));
+            });
+        }
+
+        const { nullable, messages } = rule;
+        return (value, path, parentContext) => {
+            const errors = [];
+            if (value === undefined || (value === null && nullable)) return errors;
+
+            const context = withMessages(parentContext, messages);
+            for (const step of steps) {
+                step(value, path, context, errors);
+            }
+            return errors;
+        };
+    }
+
+    compileTuple(items) {
+        const validator = this.#validator;
+        const validateItems = items.map(itemRule => this.compileRule(itemRule));
+
+        return (value, path, context, errors) => {
+            if (!Array.isArray(value)) return;
+
+            if (value.length !== validateItems.length) {
+                errors.push(validator.createTupleError(path, validateItems.length, value, context));
+            }
+            for (let index = 0; index < validateItems.length; index++) {
+                errors.push(...validateItems[index](value[index], `${path}/${index}`, context));
+            }
+        };
+    }
+
+    compileEntries(rule) {
+        const validator = this.#validator;
+        const { keyPattern } = rule;
+        const validateKey = rule.keys ? this.compileRule(rule.keys) : null;
+        const validateEntry = rule.values ? this.compileRule(rule.values) : null;
+
+        return (value, path, context, errors) => {
+            for (const [token, key, entry] of collectionEntries(value)) {
+                const entryPath = `${path}/${escapePointerToken(token)}`;
+                if (keyPattern !== undefined && !validator.matchesKeyPattern(key, keyPattern)) {
+                    errors.push(validator.createKeyPatternError(entryPath, key, keyPattern, context));
+                }
+                if (validateKey) errors.push(...validateKey(key, entryPath, context));
+                if (validateEntry) errors.push(...validateEntry(entry, entryPath, context));
+            }
+        };
+    }
+
+    compileReference(ref) {
+        return (value, path, context, errors) => {
+            const validateObject = this.#resolveCompiled(ref);
+            if (typeof value !== "object" || value === null) {
+                errors.push(...validateObject(value, path, context));
+                return;
+            }
+
+            const active = context.references.get(value) ?? new Set();
+            if (active.has(ref)) return;
+
+            context.references.set(value, active.add(ref));
+            try {
+                errors.push(...validateObject(value, path, context));
+            } finally {
+                active.delete(ref);
+            }
+        };
+    }
+}
+
+export default SchemaCompiler;
@@ -0,0 +1,261 @@
+import { appendPointer } from "./JSONPointer.js";
+import { propertyKeys } from "./SchemaValidator.js";
+
+const LOWER_BOUNDS = new Set(["min", "minLength"]);
+const UPPER_BOUNDS = new Set(["max", "maxLength"]);
+const STRUCTURAL_KEYWORDS = new Set([
+    "type", "nullable", "ref", "properties", "items", "keys", "values", "allOf", "anyOf", "oneOf",
+]);
+const COMPOSITION_KEYWORDS = ["allOf", "anyOf", "oneOf"];
+const WIDER_TYPES = {
+    integer: ["finite", "number"],
+    finite: ["number"],
+    tuple: ["array"],
+};
+const IGNORED_KEYWORDS = new Set(["message", "messages", "default", "trim", "lowercase", "uppercase", "required"]);
+const CONDITIONAL_KEYWORDS = ["if", "then", "else"];
+const ITEMS_TOKEN = "*";
+
+const DESCRIPTIONS = {
+    propertyAdded: () => "property added",
+    propertyRemoved: () => "property removed",
+    requiredAdded: () => "property is now required",
+    requiredRemoved: () => "property is no longer required",
+    typeChanged: ({ before, after }) => `type changed from ${before ?? "any"} to ${after ?? "any"}`,
+    nullableChanged: ({ after }) => (after ? "null is now allowed" : "null is no longer allowed"),
+    refChanged: ({ before, after }) => `reference changed from ${before ?? "none"} to ${after ?? "none"}`,
+    constraintAdded: ({ keyword, after }) => `${keyword} added (${describe(after)})`,
+    constraintRemoved: ({ keyword, before }) => `${keyword} removed (was ${describe(before)})`,
+    constraintChanged: ({ keyword, before, after, breaking }) =>
+        `${keyword} ${breaking ? "tightened" : "loosened"} from ${describe(before)} to ${describe(after)}`,
+    dependentRequiredAdded: ({ keyword, after }) => `'${after}' is now required when '${keyword}' is present`,
+    dependentRequiredRemoved: ({ keyword, before }) => `'${before}' is no longer required when '${keyword}' is present`,
+    conditionChanged: ({ keyword }) => `conditional '${keyword}' branch changed`,
+    propertiesClosed: () => "unknown properties are no longer allowed",
+    branchAdded: ({ keyword, after }) => `${keyword} branch added (${describe(after)})`,
+    branchRemoved: ({ keyword, before }) => `${keyword} branch removed (was ${describe(before)})`,
+    branchChanged: ({ keyword }) => `${keyword} branch changed`,
+};
+
+function unwrap(ruleConfig) {
+    return ruleConfig?.value ?? ruleConfig;
+}
+
+function describe(value) {
+    if (value instanceof RegExp) return String(value);
+    if (typeof value === "function") return value.name || "anonymous function";
+    if (Array.isArray(value)) return `[${value.map(describe).join(", ")}]`;
+    return typeof value === "object" && value !== null ? JSON.stringify(value) : String(value);
+}
+
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (a instanceof RegExp || b instanceof RegExp) {
+        return a instanceof RegExp && b instanceof RegExp && a.source === b.source && a.flags === b.flags;
+    }
+    if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && isEqual(a[key], b[key]));
+}
+
+function isLoose(type) {
+    return type === undefined || type === "any";
+}
+
+function isWidened(before, after) {
+    return isLoose(after) || Boolean(WIDER_TYPES[before]?.includes(after));
+}
+
+function compareConstraint(keyword, before, after) {
+    if (LOWER_BOUNDS.has(keyword)) return after > before;
+    if (UPPER_BOUNDS.has(keyword)) return after < before;
+    if (keyword === "enum") return before.some(value => !after.some(candidate => isEqual(candidate, value)));
+    return true;
+}
+
+export function formatDiff({ changes }) {
+    if (changes.length === 0) return "No changes";
+
+    const section = (title, entries) => (entries.length === 0 ? [] : [
+        `${title}:`,
+        ...entries.map(change => `  ${change.path || "/"}: ${DESCRIPTIONS[change.kind](change)}`),
+    ]);
+
+    return [
+        ...section("Breaking changes", changes.filter(change => change.breaking)),
+        ...section("Non-breaking changes", changes.filter(change => !change.breaking)),
+    ].join("\n");
+}
+
+class SchemaDiff {
+    #changes = [];
+
+    diff(oldSchema, newSchema) {
+        this.#changes = [];
+        this.compareObject(oldSchema, newSchema, "");
+
+        const changes = this.#changes;
+        return { breaking: changes.some(change => change.breaking), changes };
+    }
+
+    #add(kind, path, breaking, details = {}) {
+        this.#changes.push({ kind, path, breaking, ...details });
+    }
+
+    compareObject(before, after, path) {
+        const oldKeys = propertyKeys(before);
+        const newKeys = propertyKeys(after);
+
+        // A schema without properties accepts any key; declaring the first one makes every other key unknown.
+        if (oldKeys.length === 0 && newKeys.length > 0) this.#add("propertiesClosed", path, true);
+
+        for (const key of oldKeys) {
+            const keyPath = appendPointer(path, key);
+            if (newKeys.includes(key)) {
+                this.compareRule(before[key], after[key], keyPath);
+            } else {
+                this.#add("propertyRemoved", keyPath, true);
+            }
+        }
+        for (const key of newKeys) {
+            if (!oldKeys.includes(key)) this.#add("propertyAdded", appendPointer(path, key), false);
+        }
+
+        const oldRequired = before.requiredProperties || [];
+        const newRequired = after.requiredProperties || [];
+        for (const key of newRequired) {
+            if (!oldRequired.includes(key)) this.#add("requiredAdded", appendPointer(path, key), true);
+        }
+        for (const key of oldRequired) {
+            if (!newRequired.includes(key) && newKeys.includes(key)) {
+                this.#add("requiredRemoved", appendPointer(path, key), false);
+            }
+        }
+
+        this.compareDependentRequired(before.dependentRequired || {}, after.dependentRequired || {}, path);
+
+        for (const keyword of CONDITIONAL_KEYWORDS) {
+            if (!isEqual(before[keyword], after[keyword])) {
+                this.#add("conditionChanged", path, true, { keyword });
+            }
+        }
+        this.compareChecks(before.checks || [], after.checks || [], path);
+    }
+
+    compareDependentRequired(before, after, path) {
+        for (const [trigger, dependents] of Object.entries(after)) {
+            for (const key of dependents) {
+                if (!before[trigger]?.includes(key)) {
+                    this.#add("dependentRequiredAdded", appendPointer(path, key), true, { keyword: trigger, after: key });
+                }
+            }
+        }
+        for (const [trigger, dependents] of Object.entries(before)) {
+            for (const key of dependents) {
+                if (!after[trigger]?.includes(key)) {
+                    this.#add("dependentRequiredRemoved", appendPointer(path, key), false, { keyword: trigger, before: key });
+                }
+            }
+        }
+    }
+
+    compareChecks(before, after, path) {
+        for (const check of after) {
+            if (!before.includes(check)) this.#add("constraintAdded", path, true, { keyword: "checks", after: check });
+        }
+        for (const check of before) {
+            if (!after.includes(check)) this.#add("constraintRemoved", path, false, { keyword: "checks", before: check });
+        }
+    }
+
+    compareRule(before, after, path) {
+        if (before.type !== after.type) {
+            this.#add("typeChanged", path, !isWidened(before.type, after.type), { before: before.type, after: after.type });
+        }
+        if (Boolean(before.nullable) !== Boolean(after.nullable)) {
+            this.#add("nullableChanged", path, !after.nullable, { before: Boolean(before.nullable), after: Boolean(after.nullable) });
+        }
+        if (before.ref !== after.ref) {
+            this.#add("refChanged", path, after.ref !== undefined, { before: before.ref, after: after.ref });
+        }
+
+        this.compareNested(before.properties, after.properties, path, "properties",
+            () => this.compareObject(before.properties, after.properties, path));
+        this.compareNested(before.items, after.items, path, "items",
+            () => this.compareItems(before.items, after.items, path));
+        this.compareNested(before.keys, after.keys, path, "keys",
+            () => this.compareRule(before.keys, after.keys, path));
+        this.compareNested(before.values, after.values, path, "values",
+            () => this.compareRule(before.values, after.values, appendPointer(path, ITEMS_TOKEN)));
+        for (const keyword of COMPOSITION_KEYWORDS) {
+            this.compareNested(before[keyword], after[keyword], path, keyword,
+                () => this.compareBranches(keyword, before[keyword], after[keyword], appendPointer(path, keyword)));
+        }
+
+        const keywords = new Set([...Object.keys(before), ...Object.keys(after)]);
+        for (const keyword of keywords) {
+            if (STRUCTURAL_KEYWORDS.has(keyword) || IGNORED_KEYWORDS.has(keyword)) continue;
+            this.compareConstraint(keyword, unwrap(before[keyword]), unwrap(after[keyword]), path);
+        }
+    }
+
+    compareItems(before, after, path) {
+        if (!Array.isArray(before) && !Array.isArray(after)) {
+            this.compareRule(before, after, appendPointer(path, ITEMS_TOKEN));
+            return;
+        }
+        if (!Array.isArray(before) || !Array.isArray(after) || before.length !== after.length) {
+            this.#add("constraintChanged", path, true, { keyword: "items", before, after });
+        }
+        if (Array.isArray(before) && Array.isArray(after)) {
+            const length = Math.min(before.length, after.length);
+            for (let index = 0; index < length; index++) {
+                this.compareRule(before[index], after[index], appendPointer(path, index));
+            }
+        }
+    }
+
+    // Extra allOf branches tighten and extra anyOf branches loosen, while oneOf changes either way can leave
+    // data matching no branch or several.
+    compareBranches(keyword, before, after, path) {
+        const length = Math.min(before.length, after.length);
+        for (let index = 0; index < length; index++) {
+            const branchPath = appendPointer(path, index);
+            if (keyword !== "oneOf") {
+                this.compareRule(before[index], after[index], branchPath);
+            } else if (!isEqual(before[index], after[index])) {
+                this.#add("branchChanged", branchPath, true, { keyword, before: before[index], after: after[index] });
+            }
+        }
+        for (let index = length; index < after.length; index++) {
+            this.#add("branchAdded", appendPointer(path, index), keyword !== "anyOf", { keyword, after: after[index] });
+        }
+        for (let index = length; index < before.length; index++) {
+            this.#add("branchRemoved", appendPointer(path, index), keyword !== "allOf", { keyword, before: before[index] });
+        }
+    }
+
+    compareNested(before, after, path, keyword, compare) {
+        if (before && after) {
+            compare();
+        } else if (after) {
+            this.#add("constraintAdded", path, true, { keyword, after });
+        } else if (before) {
+            this.#add("constraintRemoved", path, false, { keyword, before });
+        }
+    }
+
+    compareConstraint(keyword, before, after, path) {
+        if (before === undefined) {
+            this.#add("constraintAdded", path, true, { keyword, after });
+        } else if (after === undefined) {
+            this.#add("constraintRemoved", path, false, { keyword, before });
+        } else if (!isEqual(before, after)) {
+            this.#add("constraintChanged", path, compareConstraint(keyword, before, after), { keyword, before, after });
+        }
+    }
+}
+
+export default SchemaDiff;
@@ -0,0 +1,43 @@
+function isPlainObject(value) {
+    if (typeof value !== "object" || value === null) return false;
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+// An override copied over a key the base lacks has nothing to unset, so its $unset lists are dropped.
+function stripUnset(value) {
+    if (Array.isArray(value)) return value.map(stripUnset);
+    if (!isPlainObject(value)) return value;
+
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+        if (key !== "$unset") result[key] = stripUnset(entry);
+    }
+    return result;
+}
+
+export function mergeSchemas(base, override) {
+    const result = { ...base };
+
+    for (const [key, value] of Object.entries(override)) {
+        if (key === "$unset") continue;
+
+        if (key === "requiredProperties" && Array.isArray(base.requiredProperties) && Array.isArray(value)) {
+            result.requiredProperties = [...new Set([...base.requiredProperties, ...value])];
+        } else if (isPlainObject(value) && isPlainObject(base[key])) {
+            result[key] = mergeSchemas(base[key], value);
+        } else {
+            result[key] = stripUnset(value);
+        }
+    }
+
+    const removed = override.$unset || [];
+    for (const key of removed) {
+        delete result[key];
+    }
+    if (removed.length > 0 && Array.isArray(result.requiredProperties)) {
+        result.requiredProperties = result.requiredProperties.filter(key => !removed.includes(key));
+    }
+
+    return result;
+}
@@ -0,0 +1,173 @@
+import { propertyKeys } from "./SchemaValidator.js";
+import { isObject } from "./ValidatorRegistry.js";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const INTEGER = /^[+-]?\d+$/;
+
+function toNumber(value) {
+    if (typeof value !== "string" || value.trim() === "") return value;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : value;
+}
+
+const COERCIONS = {
+    number: toNumber,
+    integer: toNumber,
+    finite: toNumber,
+    bigint: value => {
+        if (typeof value === "number" && Number.isInteger(value)) return BigInt(value);
+        return typeof value === "string" && INTEGER.test(value.trim()) ? BigInt(value.trim()) : value;
+    },
+    boolean: value => {
+        if (typeof value !== "string") return value;
+        const normalized = value.trim().toLowerCase();
+        if (normalized === "true") return true;
+        if (normalized === "false") return false;
+        return value;
+    },
+    string: value => (typeof value === "number" || typeof value === "boolean" ? String(value) : value),
+    date: value => (typeof value === "string" && ISO_DATE.test(value) ? new Date(value) : value),
+    set: value => (Array.isArray(value) ? new Set(value) : value),
+    map: value => {
+        if (Array.isArray(value) && value.every(entry => Array.isArray(entry) && entry.length === 2)) return new Map(value);
+        return isObject(value) ? new Map(Object.entries(value)) : value;
+    },
+};
+
+const STRING_TRANSFORMS = {
+    trim: value => value.trim(),
+    lowercase: value => value.toLowerCase(),
+    uppercase: value => value.toUpperCase(),
+};
+
+function resolveDefault(defaultValue) {
+    if (typeof defaultValue === "function") return defaultValue();
+    return typeof defaultValue === "object" && defaultValue !== null ? structuredClone(defaultValue) : defaultValue;
+}
+
+class SchemaTransformer {
+    #validator;
+    #resolveSchema;
+
+    constructor(validator, resolveSchema) {
+        this.#validator = validator;
+        this.#resolveSchema = resolveSchema;
+    }
+
+    transform(schema, data, options) {
+        return this.transformObject(data, schema, { coerce: false, unknown: "strip", ...options, copies: new Map() });
+    }
+
+    transformObject(data, schema, context) {
+        if (!isObject(data)) return data;
+        if (context.copies.has(data)) return context.copies.get(data);
+
+        const result = {};
+        context.copies.set(data, result);
+
+        const ruleKeys = propertyKeys(schema);
+        for (const key of ruleKeys) {
+            const value = this.transformValue(data[key], schema[key], context);
+            if (value !== undefined) result[key] = value;
+        }
+
+        const stripUnknown = context.unknown === "strip" && ruleKeys.length > 0;
+        for (const key of Object.keys(data)) {
+            if (ruleKeys.includes(key) || stripUnknown) continue;
+            result[key] = data[key];
+        }
+
+        return result;
+    }
+
+    transformValue(value, rule, context) {
+        let result = value;
+
+        if (result === undefined && rule.default !== undefined) {
+            result = resolveDefault(rule.default);
+        }
+        if (result === undefined || (result === null && rule.nullable)) {
+            return result;
+        }
+
+        if (context.coerce && COERCIONS[rule.type]) {
+            result = COERCIONS[rule.type](result);
+        }
+
+        if (typeof result === "string") {
+            for (const [name, transform] of Object.entries(STRING_TRANSFORMS)) {
+                if (rule[name]) result = transform(result);
+            }
+        }
+
+        if (rule.properties) {
+            result = this.transformObject(result, rule.properties, context);
+        }
+        if (rule.items) {
+            result = this.transformItems(result, rule.items, context);
+        }
+        if (rule.keys || rule.values) {
+            result = this.transformEntries(result, rule, context);
+        }
+        if (rule.ref) {
+            result = this.transformObject(result, this.#resolveSchema(rule.ref), context);
+        }
+
+        return this.transformComposition(result, rule, context);
+    }
+
+    transformItems(value, items, context) {
+        if (Array.isArray(items)) {
+            return Array.isArray(value)
+                ? value.map((item, index) => (items[index] ? this.transformValue(item, items[index], context) : item))
+                : value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.transformValue(item, items, context));
+        }
+        if (value instanceof Set) {
+            return new Set(Array.from(value, item => this.transformValue(item, items, context)));
+        }
+        return value;
+    }
+
+    transformEntries(value, rule, context) {
+        const transformKey = key => (rule.keys ? this.transformValue(key, rule.keys, context) : key);
+        const transformEntry = entry => (rule.values ? this.transformValue(entry, rule.values, context) : entry);
+
+        if (value instanceof Map) {
+            return new Map(Array.from(value, ([key, entry]) => [transformKey(key), transformEntry(entry)]));
+        }
+        if (isObject(value)) {
+            return Object.fromEntries(Object.entries(value).map(([key, entry]) => [transformKey(key), transformEntry(entry)]));
+        }
+        return value;
+    }
+
+    transformComposition(value, rule, context) {
+        let result = value;
+
+        // Each allOf branch only knows part of the shape, so none of them may strip keys on its own.
+        const branchContext = { ...context, unknown: context.unknown === "strip" ? "keep" : context.unknown };
+        for (const branch of rule.allOf || []) {
+            result = this.transformValue(result, branch, branchContext);
+        }
+
+        for (const keyword of ["anyOf", "oneOf"]) {
+            if (!rule[keyword]) continue;
+
+            for (const branch of rule[keyword]) {
+                const candidate = this.transformValue(result, branch, context);
+                if (this.#validator.matches(candidate, branch)) {
+                    result = candidate;
+                    break;
+                }
+            }
+        }
+
+        return result;
+    }
+}
+
+export default SchemaTransformer;
@@ -1,19 +1,102 @@
+import ValidationError from "./ValidationError.js";
+import { isObject, isTypedArray } from "./ValidatorRegistry.js";
+import { appendPointer, pathTokens } from "./JSONPointer.js";
+
+export const SCHEMA_KEYWORDS = new Set([
+    "requiredProperties", "if", "then", "else", "dependentRequired", "checks", "messages",
+]);
+
+export function propertyKeys(schema) {
+    return Object.keys(schema).filter(key => !SCHEMA_KEYWORDS.has(key));
+}
+
+const RULE_KEYWORDS = new Set([
+    "type", "required", "items", "properties", "message", "messages",
+    "ref", "oneOf", "anyOf", "allOf", "nullable",
+    "default", "trim", "lowercase", "uppercase", "keys", "values", "keyPattern",
+]);
+
+class PendingError {
+    constructor(promise) {
+        this.promise = promise;
+    }
+}
+
+function isThenable(value) {
+    return typeof value?.then === "function";
+}
+
+async function resolveErrors(entries) {
+    const settled = await Promise.all(entries.map(entry => (entry instanceof PendingError ? entry.promise : entry)));
+    return settled.flat().filter(Boolean);
+}
+
+function describeBranches(branches) {
+    return branches
+        .map(({ index, errors }) => `branch ${index}: ${errors.map(error => error.message).join(", ")}`)
+        .join("; ");
+}
+
+export function withMessages(context, messages) {
+    return messages ? { ...context, messages: { ...context.messages, ...messages } } : context;
+}
+
+function describeType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isNaN(value)) return "NaN";
+    if (value instanceof Date) return "date";
+    if (value instanceof Map) return "map";
+    if (value instanceof Set) return "set";
+    if (isTypedArray(value)) return value.constructor.name.toLowerCase();
+    return typeof value;
+}
+
+export function collectionItems(value) {
+    if (Array.isArray(value) || isTypedArray(value) || value instanceof Set) {
+        return Array.from(value, (item, index) => [index, item]);
+    }
+    return [];
+}
+
+export function collectionEntries(value) {
+    if (value instanceof Map) {
+        return Array.from(value, ([key, entry], index) =>
+            [typeof key === "string" || typeof key === "number" ? key : index, key, entry]);
+    }
+    return isObject(value) ? Object.entries(value).map(([key, entry]) => [key, key, entry]) : [];
+}
+
+function conditionContext(context) {
+    return context.partial ? { ...context, partial: false } : context;
+}
+
+function abortable(promise, signal) {
+    if (!signal) return promise;
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener("abort", onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+    });
+}
+
 class SchemaValidator {
     #registry;
     #mode;
+    #resolveSchema;
+    #messages;
 
-    constructor(registry, mode) {
+    constructor(registry, mode, resolveSchema, messages) {
         this.#registry = registry;
         this.#mode = mode;
+        this.#resolveSchema = resolveSchema;
+        this.#messages = messages;
     }
 
-    validateSchema(schema, data, schemaPath) {
-        const errors = [];
-
-        errors.push(...this.validateRequired(data, schema, schemaPath));
-        errors.push(...this.validateProperties(data, schema, schemaPath));
-
-        if (errors.length === 0) return true;
+    validateSchema(schema, data, schemaName) {
+        const { valid, errors } = this.validateDetailed(schema, data, schemaName);
+        if (valid) return true;
 
         if (this.#mode === "debug") {
             console.error("Validation errors:", errors);
@@ -21,136 +104,413 @@ class SchemaValidator {
         return false;
     }
 
-    validateValue(value, rule, schemaPath) {
-        const errors = [];
+    validateDetailed(schema, data, schemaName, options = {}) {
+        const errors = this.validateObject(data, schema, "", this.createContext(options));
+        return this.createResult(errors, schemaName);
+    }
+
+    async validateAsync(schema, data, schemaName, signal) {
+        signal?.throwIfAborted();
+
+        const entries = this.validateObject(data, schema, "", this.createContext({ async: true, signal }));
+        const errors = await abortable(resolveErrors(entries), signal);
+
+        return this.createResult(errors, schemaName);
+    }
+
+    validateAt(schema, path, value, schemaName) {
+        const tokens = pathTokens(path);
+        if (tokens.length === 0) {
+            return this.validateDetailed(schema, value, schemaName);
+        }
 
-        if (value !== undefined) {
-            errors.push(...this.validateType(value, rule, schemaPath));
-            errors.push(...this.validateRules(value, rule, schemaPath));
-            if ((rule.items && Array.isArray(value)) || (rule.properties && typeof value === "object")) {
-                errors.push(...this.validateNested(value, rule, schemaPath));
+        let context = this.createContext();
+        let current = { schema };
+        let pointer = "";
+        let parent;
+
+        for (const token of tokens) {
+            if (current.schema) {
+                context = withMessages(context, current.schema.messages);
+                if (SCHEMA_KEYWORDS.has(token) || !Object.hasOwn(current.schema, token)) {
+                    throw new Error(`Path '${path}' does not exist in schema '${schemaName}'`);
+                }
+                parent = { schema: current.schema, key: token };
+                current = { rule: current.schema[token] };
+            } else if (current.rule.items && /^\d+$/.test(token)) {
+                const { items } = current.rule;
+                if (Array.isArray(items) && Number(token) >= items.length) {
+                    throw new Error(`Path '${path}' is past the end of a ${items.length}-item tuple in schema '${schemaName}'`);
+                }
+                parent = undefined;
+                current = { rule: Array.isArray(items) ? items[Number(token)] : items };
+            } else {
+                throw new Error(`Path '${path}' does not exist in schema '${schemaName}'`);
+            }
+            pointer = appendPointer(pointer, token);
+
+            const { rule } = current;
+            if (rule.properties || rule.ref) {
+                current = { rule, schema: rule.properties ?? this.#resolveSchema(rule.ref) };
             }
         }
 
-        return errors;
+        if (value === undefined && parent?.schema.requiredProperties?.includes(parent.key)) {
+            return this.createResult([this.createRequiredError(pointer, parent.key, context)], schemaName);
+        }
+        return this.createResult(this.validateValue(value, current.rule, pointer, context), schemaName);
     }
 
-    validateType(value, rule, schemaPath) {
-        const errors = [];
-        if (!rule.type) return errors;
+    matches(value, rule) {
+        return this.validateValue(value, rule, "", this.createContext()).length === 0;
+    }
 
-        const typeValidator = this.#registry.getTypeValidator(rule.type);
-        if (!typeValidator) {
-            errors.push({
-                path: schemaPath,
-                message: `Unknown type '${rule.type}'`,
-            });
+    createContext(options = {}) {
+        return { async: false, allowUnknown: false, ...options, references: new WeakMap() };
+    }
+
+    createResult(errors, schemaName) {
+        if (errors.length > 0 && this.#mode === "strict") {
+            throw new ValidationError(schemaName, errors);
         }
+        return { valid: errors.length === 0, errors };
+    }
 
-        if (!typeValidator(value)) {
-            errors.push({
-                path: schemaPath,
-                message: `Type validation failed. Expected ${rule.type}, got ${typeof value}`,
-                value,
-            });
+    validateObject(data, schema, schemaPath, parentContext, open = false) {
+        const context = withMessages(parentContext, schema.messages);
+        if (!isObject(data)) {
+            return [this.createObjectTypeError(schemaPath, data, context)];
+        }
+
+        return [
+            ...this.validateRequired(data, schema, schemaPath, context),
+            ...this.validateProperties(data, schema, schemaPath, context, open),
+            ...this.validateDependentRequired(data, schema, schemaPath, context),
+            ...this.validateConditional(data, schema, schemaPath, context),
+            ...this.validateChecks(data, schema, schemaPath, context),
+        ];
+    }
+
+    validateValue(value, rule, schemaPath, parentContext) {
+        const errors = [];
+
+        if (value === undefined || (value === null && rule.nullable)) {
+            return errors;
         }
 
+        const context = withMessages(parentContext, rule.messages);
+        errors.push(...this.validateType(value, rule, schemaPath, context));
+        errors.push(...this.validateRules(value, rule, schemaPath, context));
+        errors.push(...this.validateNested(value, rule, schemaPath, context));
+        errors.push(...this.validateReference(value, rule, schemaPath, context));
+        errors.push(...this.validateComposition(value, rule, schemaPath, context));
+
         return errors;
     }
 
-    validateRules(value, rule, schemaPath) {
+    validateType(value, rule, schemaPath, context) {
+        if (!rule.type) return [];
+
+        const typeValidator = this.#registry.getTypeValidator(rule.type);
+        if (typeValidator(value)) return [];
+
+        return [this.createTypeError(schemaPath, rule.type, value, context)];
+    }
+
+    validateRules(value, rule, schemaPath, context) {
         const errors = [];
         for (const [ruleName, ruleConfig] of Object.entries(rule)) {
-            if (["type", "required"].includes(ruleName)) {
-                continue;
+            if (!this.isRule(ruleName)) continue;
+
+            const error = this.runRule(ruleName, this.#registry.getValidator(ruleName), ruleConfig, value, schemaPath, context);
+            if (error) errors.push(error);
+        }
+        return errors;
+    }
+
+    isRule(name) {
+        return !RULE_KEYWORDS.has(name) && this.#registry.hasValidator(name);
+    }
+
+    runRule(ruleName, validator, ruleConfig, value, schemaPath, context) {
+        const ruleValue = ruleConfig?.value ?? ruleConfig;
+        const outcome = validator(value, ruleValue, { path: schemaPath, signal: context.signal });
+        const createError = () => this.createError(ruleName, schemaPath, ruleValue, value, context, {
+            key: validator.messageKey?.(ruleValue),
+            template: ruleConfig?.message,
+        });
+
+        if (isThenable(outcome)) {
+            if (!context.async) {
+                throw new Error(`Validator "${ruleName}" is asynchronous; use validateAsync instead`);
             }
+            return new PendingError(Promise.resolve(outcome).then(passed => (passed ? null : createError())));
+        }
+        return outcome ? null : createError();
+    }
 
-            const validator = this.#registry.getValidator(ruleName);
-            if (!validator) continue;
+    validateNested(value, rule, schemaPath, context) {
+        const errors = [];
+        if (rule.properties && isObject(value)) {
+            errors.push(...this.validateObject(value, rule.properties, schemaPath, context));
+        }
 
-            const ruleValue = ruleConfig?.value ?? ruleConfig;
-            const message = ruleConfig?.message;
+        if (Array.isArray(rule.items)) {
+            errors.push(...this.validateTuple(value, rule.items, schemaPath, context));
+        } else if (rule.items) {
+            for (const [token, item] of collectionItems(value)) {
+                errors.push(...this.validateValue(item, rule.items, appendPointer(schemaPath, token), context));
+            }
+        }
 
-            if (!validator(value, ruleValue)) {
-                errors.push({
-                    path: schemaPath,
-                    message: message || `${ruleName} validation failed`,
-                    value,
-                });
+        if (rule.keys || rule.values || rule.keyPattern !== undefined) {
+            for (const [token, key, entry] of collectionEntries(value)) {
+                errors.push(...this.validateEntry(key, entry, rule, appendPointer(schemaPath, token), context));
             }
         }
+
         return errors;
     }
 
-    validateNested(value, rule, schemaPath) {
+    validateTuple(value, items, schemaPath, context) {
+        if (!Array.isArray(value)) return [];
+
         const errors = [];
-        if (rule.properties && value) {
-            errors.push(...this.validateSchema(rule.properties, value, schemaPath));
+        if (value.length !== items.length) {
+            errors.push(this.createTupleError(schemaPath, items.length, value, context));
         }
+        items.forEach((itemRule, index) => {
+            errors.push(...this.validateValue(value[index], itemRule, appendPointer(schemaPath, index), context));
+        });
+        return errors;
+    }
 
-        if (rule.items && Array.isArray(value)) {
-            value.forEach((item, index) => {
-                const itemSchemaPath = `${schemaPath}[${index}]`;
-                errors.push(...this.validateValue(item, rule.items, itemSchemaPath));
-            });
+    validateEntry(key, value, rule, path, context) {
+        const errors = [];
+        if (rule.keyPattern !== undefined && !this.matchesKeyPattern(key, rule.keyPattern)) {
+            errors.push(this.createKeyPatternError(path, key, rule.keyPattern, context));
+        }
+        if (rule.keys) {
+            errors.push(...this.validateValue(key, rule.keys, path, context));
+        }
+        if (rule.values) {
+            errors.push(...this.validateValue(value, rule.values, path, context));
         }
-
         return errors;
     }
 
-    validateRequired(data, schema, schemaPath) {
+    matchesKeyPattern(key, keyPattern) {
+        const pattern = keyPattern?.value ?? keyPattern;
+        return typeof key === "string" && this.#registry.getValidator("pattern")(key, pattern);
+    }
+
+    validateReference(value, rule, schemaPath, context) {
+        if (!rule.ref) return [];
+
+        const schema = this.#resolveSchema(rule.ref);
+        if (typeof value !== "object" || value === null) {
+            return this.validateObject(value, schema, schemaPath, context);
+        }
+
+        // Data that loops back into a schema already being checked for it is valid by the outer check.
+        const active = context.references.get(value) ?? new Set();
+        if (active.has(rule.ref)) return [];
+
+        context.references.set(value, active.add(rule.ref));
+        try {
+            return this.validateObject(value, schema, schemaPath, context);
+        } finally {
+            active.delete(rule.ref);
+        }
+    }
+
+    validateComposition(value, rule, schemaPath, context) {
         const errors = [];
-        const required = schema.requiredProperties || [];
-        const missingProperties = required.filter(key => !(key in data));
-        if (missingProperties.length > 0) {
-            missingProperties.forEach(key => {
-                errors.push({
-                    path: `${schemaPath}.${key}`,
-                    message: `Required property '${key}' is missing`,
-                    data,
-                });
-            });
+
+        for (const keyword of ["allOf", "anyOf", "oneOf"]) {
+            if (!rule[keyword]) continue;
+
+            const branchErrors = rule[keyword].map(branch => this.validateValue(value, branch, schemaPath, context));
+            const decide = lists => this.decideComposition(keyword, lists, value, schemaPath, context);
+
+            if (branchErrors.flat().some(entry => entry instanceof PendingError)) {
+                errors.push(new PendingError(Promise.all(branchErrors.map(resolveErrors)).then(decide)));
+            } else {
+                errors.push(...decide(branchErrors));
+            }
         }
+
         return errors;
     }
 
-    validateProperties(data, schema, schemaPath) {
+    decideComposition(keyword, branchErrors, value, schemaPath, context) {
+        const branches = branchErrors.map((errors, index) => ({ index, errors }));
+        const failed = branches.filter(branch => branch.errors.length > 0);
+        const matched = branches.filter(branch => branch.errors.length === 0).map(branch => branch.index);
+        const params = { branches: describeBranches(failed), matched };
+
+        if (keyword === "allOf" && failed.length > 0) {
+            return [{
+                ...this.createError("allOf", schemaPath, branches.length, value, context, { params }),
+                branches: failed,
+            }];
+        }
+        if (keyword === "anyOf" && matched.length === 0) {
+            return [{
+                ...this.createError("anyOf", schemaPath, branches.length, value, context, { params }),
+                branches: failed,
+            }];
+        }
+        if (keyword === "oneOf" && matched.length !== 1) {
+            const key = matched.length === 0 ? "oneOf" : "oneOf.multiple";
+            return [{
+                ...this.createError("oneOf", schemaPath, 1, value, context, { key, params }),
+                branches: failed,
+                matched,
+            }];
+        }
+        return [];
+    }
+
+    validateRequired(data, schema, schemaPath, context) {
+        if (context.partial) return [];
+
+        const required = schema.requiredProperties || [];
+        return required
+            .filter(key => !(key in data))
+            .map(key => this.createRequiredError(appendPointer(schemaPath, key), key, context));
+    }
+
+    validateProperties(data, schema, schemaPath, context, open) {
         const errors = [];
 
-        if (typeof data !== "object" || data === null || Array.isArray(data)) {
-            errors.push({
-                path: schemaPath,
-                message: `Invalid data type: expected an object but got ${Array.isArray(data) ? 'array' : typeof data}`,
-                data,
-            });
-            return errors;
+        const allowedKeys = propertyKeys(schema);
+        if (allowedKeys.length > 0 && !open && !context.allowUnknown) {
+            for (const key of Object.keys(data)) {
+                if (allowedKeys.includes(key)) continue;
+                errors.push(this.createUnknownPropertyError(appendPointer(schemaPath, key), key, allowedKeys, data[key], context));
+            }
         }
 
-        const allowedKeys = Object.keys(schema).filter(key => key !== "requiredProperties");
-        if (allowedKeys.length === 0) {
-            allowedKeys.push(...Object.keys(data));
+        for (const key of allowedKeys) {
+            if (!(key in data)) continue;
+            errors.push(...this.validateValue(data[key], schema[key], appendPointer(schemaPath, key), context));
         }
-        const dataKeys = Object.keys(data);
-        const unknownKeys = dataKeys.filter(key => !allowedKeys.includes(key));
-        
-        if (unknownKeys.length > 0) {
-            errors.push({
-                path: schemaPath,
-                message: `Unknown properties '${unknownKeys.join(", ")}' are not allowed`,
-                data,
-            });
+
+        return errors;
+    }
+
+    validateDependentRequired(data, schema, schemaPath, context) {
+        const errors = [];
+        if (context.partial) return errors;
+
+        for (const [trigger, dependents] of Object.entries(schema.dependentRequired || {})) {
+            if (!(trigger in data)) continue;
+
+            for (const key of dependents) {
+                if (key in data) continue;
+                errors.push(this.createDependentRequiredError(appendPointer(schemaPath, key), key, trigger, context));
+            }
         }
+        return errors;
+    }
 
-        for (const [key, rule] of Object.entries(schema)) {
-            if (key === "requiredProperties" || !(key in data)) continue;
+    validateConditional(data, schema, schemaPath, context) {
+        if (!schema.if) return [];
 
-            const value = data[key];
-            const propertyPath = `${schemaPath}.${key}`;
-            errors.push(...this.validateValue(value, rule, propertyPath));
+        // Conditions test what the data contains, so a partial update must not satisfy them vacuously.
+        const conditionErrors = this.validateObject(data, schema.if, schemaPath, conditionContext(context), true);
+        const applyBranch = errors => {
+            const branch = errors.length === 0 ? schema.then : schema.else;
+            return branch ? this.validateObject(data, branch, schemaPath, context, true) : [];
+        };
+
+        if (conditionErrors.some(entry => entry instanceof PendingError)) {
+            return [new PendingError(resolveErrors(conditionErrors).then(errors => resolveErrors(applyBranch(errors))))];
         }
+        return applyBranch(conditionErrors);
+    }
+
+    validateChecks(data, schema, schemaPath, context) {
+        const errors = [];
+        // Checks compare fields with each other, so a patch that carries only some of them cannot be judged.
+        if (context.partial) return errors;
+
+        for (const check of schema.checks || []) {
+            const outcome = check(data, { path: schemaPath, signal: context.signal });
 
+            if (isThenable(outcome)) {
+                if (!context.async) {
+                    throw new Error(`Check "${check.name || "anonymous"}" is asynchronous; use validateAsync instead`);
+                }
+                errors.push(new PendingError(Promise.resolve(outcome)
+                    .then(result => this.createCheckErrors(result, data, schemaPath, context))));
+            } else {
+                errors.push(...this.createCheckErrors(outcome, data, schemaPath, context));
+            }
+        }
         return errors;
     }
+
+    createCheckErrors(outcome, data, schemaPath, context) {
+        if (outcome === true || outcome === undefined || outcome === null) return [];
+        if (outcome === false) {
+            return [this.createError("check", schemaPath, true, data, context)];
+        }
+
+        return [outcome].flat().map(({ property, code = "check", message, expected, params }) => {
+            const path = property === undefined ? schemaPath : appendPointer(schemaPath, property);
+            const actual = property === undefined ? data : data[property];
+            return this.createError(code, path, expected, actual, context, {
+                template: message,
+                params: { property, ...params },
+            });
+        });
+    }
+
+    createObjectTypeError(path, data, context) {
+        return this.createError("type", path, "object", data, context);
+    }
+
+    createTypeError(path, type, value, context) {
+        return this.createError("type", path, type, value, context);
+    }
+
+    createTupleError(path, length, value, context) {
+        return this.createError("tuple", path, length, value, context);
+    }
+
+    createKeyPatternError(path, key, keyPattern, context) {
+        return this.createError("keyPattern", path, keyPattern?.value ?? keyPattern, key, context, {
+            template: keyPattern?.message,
+            params: { property: key },
+        });
+    }
+
+    createRequiredError(path, key, context) {
+        return this.createError("required", path, key, undefined, context, { params: { property: key } });
+    }
+
+    createDependentRequiredError(path, key, trigger, context) {
+        return this.createError("dependentRequired", path, key, undefined, context, { params: { property: key, trigger } });
+    }
+
+    createUnknownPropertyError(path, key, allowedKeys, value, context) {
+        return this.createError("unknownProperty", path, allowedKeys, value, context, { params: { property: key } });
+    }
+
+    createError(code, path, expected, actual, context, { key = code, template, params } = {}) {
+        const message = this.#messages.format(key, code, {
+            [code]: expected,
+            expected,
+            actual,
+            actualType: describeType(actual),
+            path,
+            ...params,
+        }, template, context.messages);
+
+        return { code, path, message, expected, actual };
+    }
 }
 
 export default SchemaValidator;
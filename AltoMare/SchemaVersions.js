@@ -0,0 +1,102 @@
+const DEFAULT_VERSION_KEY = "$version";
+
+class SchemaVersions {
+    #entries = new Map();
+
+    #entry(name) {
+        let entry = this.#entries.get(name);
+        if (!entry) {
+            entry = { versions: new Map(), migrations: new Map(), versionKey: DEFAULT_VERSION_KEY };
+            this.#entries.set(name, entry);
+        }
+        return entry;
+    }
+
+    #existing(name) {
+        const entry = this.#entries.get(name);
+        if (!entry || entry.versions.size === 0) {
+            throw new Error(`Schema '${name}' has no registered versions`);
+        }
+        return entry;
+    }
+
+    register(name, version, schema, versionKey) {
+        if (!Number.isFinite(version)) {
+            throw new Error(`Version of schema '${name}' must be a finite number`);
+        }
+
+        const entry = this.#entry(name);
+        entry.versions.set(version, schema);
+        if (versionKey !== undefined) {
+            entry.versionKey = versionKey;
+        }
+    }
+
+    registerMigration(name, from, to, migration) {
+        if (from === to) {
+            throw new Error(`Migration of schema '${name}' must change the version, got ${from} -> ${to}`);
+        }
+
+        const { migrations } = this.#entry(name);
+        if (!migrations.has(from)) migrations.set(from, new Map());
+        migrations.get(from).set(to, migration);
+    }
+
+    has(name) {
+        return (this.#entries.get(name)?.versions.size ?? 0) > 0;
+    }
+
+    versions(name) {
+        return [...(this.#entries.get(name)?.versions.keys() ?? [])].sort((a, b) => a - b);
+    }
+
+    latest(name) {
+        const versions = this.versions(name);
+        return versions[versions.length - 1];
+    }
+
+    get(name, version) {
+        const schema = this.#existing(name).versions.get(version);
+        if (!schema) {
+            throw new Error(`Schema '${name}' has no version ${version}`);
+        }
+        return schema;
+    }
+
+    versionKey(name) {
+        return this.#existing(name).versionKey;
+    }
+
+    findPath(name, from, to) {
+        const { migrations } = this.#existing(name);
+        const previous = new Map([[from, null]]);
+        const queue = [from];
+
+        while (queue.length > 0) {
+            const version = queue.shift();
+            if (version === to) break;
+
+            for (const [next, migration] of migrations.get(version) ?? []) {
+                if (previous.has(next)) continue;
+                previous.set(next, { from: version, to: next, migration });
+                queue.push(next);
+            }
+        }
+
+        if (!previous.has(to)) {
+            throw new Error(`No migration path for schema '${name}' from version ${from} to ${to}`);
+        }
+
+        const steps = [];
+        for (let step = previous.get(to); step; step = previous.get(step.from)) {
+            steps.unshift(step);
+        }
+        return steps;
+    }
+
+    delete(name) {
+        this.#entries.delete(name);
+    }
+}
+
+export default SchemaVersions;
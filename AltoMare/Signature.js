@@ -0,0 +1,85 @@
+const PROMISE_TYPE = /^Promise<(.+)>$/;
+
+const parsedParams = new Map();
+
+function parseUnion(source, spec) {
+    const types = source.split("|").map(type => type.trim());
+    if (types.some(type => !type)) {
+        throw new Error(`Invalid parameter type '${spec}'`);
+    }
+    return types;
+}
+
+function parseDefault(source, spec) {
+    try {
+        return JSON.parse(source);
+    } catch {
+        throw new Error(`Invalid default value in parameter type '${spec}', expected JSON`);
+    }
+}
+
+function parseParamString(spec) {
+    let source = spec.trim();
+
+    const rest = source.startsWith("...");
+    if (rest) source = source.slice(3);
+
+    const equals = source.indexOf("=");
+    const hasDefault = equals !== -1;
+    const defaultValue = hasDefault ? parseDefault(source.slice(equals + 1).trim(), spec) : undefined;
+    if (hasDefault) source = source.slice(0, equals).trim();
+
+    const optional = hasDefault || source.endsWith("?");
+    if (source.endsWith("?")) source = source.slice(0, -1);
+
+    return { rest, optional, hasDefault, default: defaultValue, types: parseUnion(source, spec) };
+}
+
+export function parseParam(spec) {
+    if (typeof spec === "string") {
+        let param = parsedParams.get(spec);
+        if (!param) {
+            param = parseParamString(spec);
+            parsedParams.set(spec, param);
+        }
+        return param;
+    }
+
+    if (typeof spec !== "object" || spec === null || typeof spec.type !== "string") {
+        throw new Error("Parameter types must be strings or objects with a 'type' string");
+    }
+
+    const param = parseParam(spec.type);
+    const hasDefault = param.hasDefault || "default" in spec;
+    return {
+        rest: param.rest || Boolean(spec.rest),
+        optional: param.optional || hasDefault || Boolean(spec.optional),
+        hasDefault,
+        default: "default" in spec ? spec.default : param.default,
+        types: param.types,
+    };
+}
+
+export function parseParams(types) {
+    const params = types.map(parseParam);
+
+    const restIndex = params.findIndex(param => param.rest);
+    if (restIndex !== -1 && restIndex !== params.length - 1) {
+        throw new Error("Only the last parameter may be a rest parameter");
+    }
+
+    const rest = restIndex === -1 ? null : params.pop();
+    const min = params.reduce((count, param, index) => (param.optional ? count : index + 1), 0);
+    return { params, rest, min, max: rest ? Infinity : params.length };
+}
+
+export function parseReturnType(spec) {
+    const source = spec.trim();
+    const promise = PROMISE_TYPE.exec(source);
+    return { promise: Boolean(promise), types: parseUnion(promise ? promise[1] : source, spec) };
+}
+
+export function describeArity(min, max) {
+    if (min === max) return `${min}`;
+    return max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+}
@@ -0,0 +1,158 @@
+import { propertyKeys } from "./SchemaValidator.js";
+import { TYPED_ARRAYS } from "./ValidatorRegistry.js";
+
+const PRIMITIVE_TYPES = {
+    string: "string",
+    number: "number",
+    integer: "number",
+    finite: "number",
+    bigint: "bigint",
+    boolean: "boolean",
+    null: "null",
+    any: "unknown",
+    date: "Date",
+    function: "(...args: unknown[]) => unknown",
+    typedarray: "ArrayBufferView",
+};
+
+for (const [name, TypedArray] of Object.entries(TYPED_ARRAYS)) {
+    PRIMITIVE_TYPES[name] = TypedArray.name;
+}
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+export function typeName(name) {
+    const words = name.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    const pascal = words.map(word => word[0].toUpperCase() + word.slice(1)).join("");
+    return /^[0-9]/.test(pascal) ? `_${pascal}` : pascal;
+}
+
+function propertyName(key) {
+    return IDENTIFIER.test(key) ? key : JSON.stringify(key);
+}
+
+function group(type) {
+    return /[|&]/.test(type) && !/^\(.*\)$/.test(type) ? `(${type})` : type;
+}
+
+function unwrap(ruleConfig) {
+    return ruleConfig?.value ?? ruleConfig;
+}
+
+class TypeGenerator {
+    #indent;
+
+    constructor(indent = "    ") {
+        this.#indent = indent;
+    }
+
+    ruleType(rule, depth) {
+        let type = this.baseType(rule, depth);
+
+        const unions = ["anyOf", "oneOf"]
+            .filter(keyword => rule[keyword])
+            .map(keyword => rule[keyword].map(branch => group(this.ruleType(branch, depth))).join(" | "));
+        const intersections = (rule.allOf || []).map(branch => group(this.ruleType(branch, depth)));
+        const parts = [...unions, ...intersections];
+
+        if (parts.length > 0) {
+            const members = type === "unknown" ? parts : [type, ...parts];
+            type = members.length === 1 ? members[0] : members.map(group).join(" & ");
+        }
+        return rule.nullable ? `${type} | null` : type;
+    }
+
+    baseType(rule, depth) {
+        if (rule.enum) {
+            return unwrap(rule.enum).map(value => JSON.stringify(value)).join(" | ");
+        }
+        if (rule.ref) {
+            return typeName(rule.ref);
+        }
+        if (rule.properties) {
+            return this.objectType(rule.properties, depth);
+        }
+        if (Array.isArray(rule.items)) {
+            return `[${rule.items.map(item => this.ruleType(item, depth)).join(", ")}]`;
+        }
+        if (rule.type === "array") {
+            return rule.items ? `Array<${this.ruleType(rule.items, depth)}>` : "unknown[]";
+        }
+        if (rule.type === "set") {
+            return `Set<${rule.items ? this.ruleType(rule.items, depth) : "unknown"}>`;
+        }
+        if (rule.type === "map") {
+            return `Map<${this.entryType(rule.keys, depth)}, ${this.entryType(rule.values, depth)}>`;
+        }
+        if (rule.type === "object" || rule.type === "record") {
+            return `Record<string, ${this.entryType(rule.values, depth)}>`;
+        }
+        return PRIMITIVE_TYPES[rule.type] ?? "unknown";
+    }
+
+    entryType(rule, depth) {
+        return rule ? this.ruleType(rule, depth) : "unknown";
+    }
+
+    objectType(schema, depth) {
+        const keys = propertyKeys(schema);
+        if (keys.length === 0) return "Record<string, unknown>";
+
+        const required = new Set(schema.requiredProperties || []);
+        const padding = this.#indent.repeat(depth + 1);
+        const lines = keys.map(key => {
+            const optional = required.has(key) ? "" : "?";
+            return `${padding}${propertyName(key)}${optional}: ${this.ruleType(schema[key], depth + 1)};`;
+        });
+        return `{\n${lines.join("\n")}\n${this.#indent.repeat(depth)}}`;
+    }
+
+    toTypeScript(definitions) {
+        const blocks = definitions.map(({ name, schema }) =>
+            `export interface ${typeName(name)} ${this.objectType(schema, 0)}`);
+        const schemaMap = definitions
+            .filter(definition => !definition.template)
+            .map(({ name }) => `${this.#indent}${JSON.stringify(name)}: ${typeName(name)};`);
+
+        blocks.push(`export interface SchemaTypes {\n${schemaMap.join("\n")}\n}`);
+        blocks.push([
+            "export interface TypedAltoMare {",
+            `${this.#indent}validate<K extends keyof SchemaTypes>(schemaName: K, data: unknown): data is SchemaTypes[K];`,
+            "}",
+        ].join("\n"));
+
+        return `${blocks.join("\n\n")}\n`;
+    }
+
+    toJSDoc(definitions) {
+        const blocks = definitions.map(({ name, schema }) => {
+            const required = new Set(schema.requiredProperties || []);
+            const properties = propertyKeys(schema).map(key => {
+                const type = this.ruleType(schema[key], 0).replace(/\s*\n\s*/g, " ");
+                const label = required.has(key) ? key : `[${key}]`;
+                return ` * @property {${type}} ${label}`;
+            });
+            return ["/**", ` * @typedef {Object} ${typeName(name)}`, ...properties, " */"].join("\n");
+        });
+
+        const schemaMap = definitions
+            .filter(definition => !definition.template)
+            .map(({ name }) => `${propertyName(name)}: ${typeName(name)}`)
+            .join(", ");
+
+        blocks.push(["/**", ` * @typedef {{ ${schemaMap} }} SchemaTypes`, " */"].join("\n"));
+        blocks.push([
+            "/**",
+            " * @template {keyof SchemaTypes} K",
+            " * @callback ValidateSchema",
+            " * @param {K} schemaName - The name of the registered schema.",
+            " * @param {unknown} data - The data to validate.",
+            " * @returns {data is SchemaTypes[K]}",
+            " */",
+        ].join("\n"));
+
+        return `${blocks.join("\n\n")}\n`;
+    }
+}
+
+export default TypeGenerator;
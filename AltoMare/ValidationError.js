@@ -0,0 +1,11 @@
+class ValidationError extends Error {
+    constructor(schemaName, errors) {
+        const summary = errors.map(error => `${error.path || "/"}: ${error.message}`).join("; ");
+        super(`Schema '${schemaName}' validation failed: ${summary}`);
+        this.name = "ValidationError";
+        this.schemaName = schemaName;
+        this.errors = errors;
+    }
+}
+
+export default ValidationError;
@@ -1,30 +1,99 @@
+import { DEFAULT_FORMATS } from "./Formats.js";
+
+export const TYPED_ARRAYS = {
+    int8array: Int8Array,
+    uint8array: Uint8Array,
+    uint8clampedarray: Uint8ClampedArray,
+    int16array: Int16Array,
+    uint16array: Uint16Array,
+    int32array: Int32Array,
+    uint32array: Uint32Array,
+    float32array: Float32Array,
+    float64array: Float64Array,
+    bigint64array: BigInt64Array,
+    biguint64array: BigUint64Array,
+};
+
+export function isTypedArray(value) {
+    return ArrayBuffer.isView(value) && !(value instanceof DataView);
+}
+
+export function isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value) && !isTypedArray(value)
+        && !(value instanceof Date || value instanceof Map || value instanceof Set || value instanceof RegExp);
+}
+
+function size(value) {
+    return value instanceof Map || value instanceof Set ? value.size : value.length;
+}
+
 class ValidatorRegistry {
     #validators = new Map();
     #typeValidators = new Map();
+    #formats = new Map();
+    #patterns = new Map();
 
     constructor() {
         this.initializeDefaultValidators();
         this.initializeTypeValidators();
+        this.initializeFormats();
     }
 
     initializeDefaultValidators() {
         this.register("enum", (value, enumValues) => enumValues.includes(value));
         this.register("min", (value, minValue) => value >= minValue);
         this.register("max", (value, maxValue) => value <= maxValue);
-        this.register("minLength", (value, minLength) => value.length >= minLength);
-        this.register("maxLength", (value, maxLength) => value.length <= maxLength);
-        this.register("pattern", (value, pattern) => new RegExp(pattern).test(value));
+        this.register("minLength", (value, minLength) => size(value) >= minLength);
+        this.register("maxLength", (value, maxLength) => size(value) <= maxLength);
+        this.register("pattern", (value, pattern) => this.#compilePattern(pattern).test(value));
+
+        const format = (value, name) => typeof value !== "string" || this.getFormat(name).validate(value);
+        format.messageKey = name => `format.${name}`;
+        format.generate = (name, { random, valid }) => {
+            if (!valid) return `not a valid ${name}`;
+            const { examples = [] } = this.getFormat(name);
+            return examples.length > 0 ? examples[Math.floor(random() * examples.length)] : undefined;
+        };
+        this.register("format", format);
     }
 
     initializeTypeValidators() {
         this.registerType("string", v => typeof v === "string");
-        this.registerType("number", v => typeof v === "number");
+        this.registerType("number", v => typeof v === "number" && !Number.isNaN(v));
+        this.registerType("integer", Number.isInteger);
+        this.registerType("finite", Number.isFinite);
+        this.registerType("bigint", v => typeof v === "bigint");
         this.registerType("boolean", v => typeof v === "boolean");
-        this.registerType("object", v => v && typeof v === "object" && !Array.isArray(v));
+        this.registerType("object", isObject);
+        this.registerType("record", isObject);
         this.registerType("array", Array.isArray);
+        this.registerType("tuple", Array.isArray);
+        this.registerType("map", v => v instanceof Map);
+        this.registerType("set", v => v instanceof Set);
+        this.registerType("typedarray", isTypedArray);
         this.registerType("null", v => v === null);
+        this.registerType("date", v => v instanceof Date && !Number.isNaN(v.getTime()));
         this.registerType("function", v => typeof v === "function");
         this.registerType("any", () => true);
+
+        for (const [name, TypedArray] of Object.entries(TYPED_ARRAYS)) {
+            this.registerType(name, v => v instanceof TypedArray);
+        }
+    }
+
+    initializeFormats() {
+        Object.entries(DEFAULT_FORMATS).forEach(([name, format]) => this.registerFormat(name, format));
+    }
+
+    #compilePattern(pattern) {
+        if (pattern instanceof RegExp) return pattern;
+
+        let regex = this.#patterns.get(pattern);
+        if (!regex) {
+            regex = new RegExp(pattern);
+            this.#patterns.set(pattern, regex);
+        }
+        return regex;
     }
 
     #validateRegistration(name, validator, type) {
@@ -52,6 +121,21 @@ class ValidatorRegistry {
         this.#typeValidators.set(name, validator);
     }
 
+    registerFormat(name, format) {
+        const definition = typeof format === "function" || format instanceof RegExp ? { validate: format } : format;
+        const { validate } = definition ?? {};
+        this.#validateRegistration(name, validate instanceof RegExp ? () => {} : validate, "Format");
+        if (this.hasFormat(name)) {
+            throw new Error(`Format "${name}" already exists`);
+        }
+
+        this.#formats.set(name, {
+            ...definition,
+            pattern: validate instanceof RegExp ? validate : undefined,
+            validate: validate instanceof RegExp ? value => validate.test(value) : validate,
+        });
+    }
+
     getValidator(name) {
         const validator = this.#validators.get(name);
         if (!validator) {
@@ -68,6 +152,14 @@ class ValidatorRegistry {
         return validator;
     }
 
+    getFormat(name) {
+        const format = this.#formats.get(name);
+        if (!format) {
+            throw new Error(`Format "${name}" not found`);
+        }
+        return format;
+    }
+
     hasValidator(name) {
         return this.#validators.has(name);
     }
@@ -75,6 +167,10 @@ class ValidatorRegistry {
     hasTypeValidator(name) {
         return this.#typeValidators.has(name);
     }
+
+    hasFormat(name) {
+        return this.#formats.has(name);
+    }
 }
 
 export default ValidatorRegistry;
\ No newline at end of file
@@ -0,0 +1,52 @@
+class BroadcastChannelTransport {
+    #channel;
+    #owned;
+
+    /**
+     * Creates a transport over a `BroadcastChannel`, which reaches every tab, frame and worker of the same origin.
+     * @param {string|BroadcastChannel} channel - A channel name, or an existing channel.
+     * @throws {TypeError} If BroadcastChannel is not available or the channel cannot post messages.
+     */
+    constructor(channel) {
+        if (typeof channel === "string") {
+            if (typeof globalThis.BroadcastChannel !== "function") {
+                throw new TypeError("BroadcastChannel is not available in this environment");
+            }
+            channel = new BroadcastChannel(channel);
+            this.#owned = true;
+        }
+        if (typeof channel?.postMessage !== "function") {
+            throw new TypeError("BroadcastChannelTransport needs a BroadcastChannel or a channel name");
+        }
+        this.#channel = channel;
+    }
+
+    /**
+     * Posts a message to the channel.
+     * @param {*} message - The message to post.
+     * @throws {DOMException} If the message cannot be cloned.
+     */
+    send(message) {
+        this.#channel.postMessage(message);
+    }
+
+    /**
+     * Registers a handler for incoming messages.
+     * @param {function} handler - Called with the data of each message.
+     * @returns {function} A function that removes the handler.
+     */
+    subscribe(handler) {
+        const listener = event => handler(event.data);
+        this.#channel.addEventListener("message", listener);
+        return () => this.#channel.removeEventListener("message", listener);
+    }
+
+    /**
+     * Closes the channel if the transport created it.
+     */
+    close() {
+        if (this.#owned) this.#channel.close();
+    }
+}
+
+export default BroadcastChannelTransport;
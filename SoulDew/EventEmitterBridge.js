@@ -0,0 +1,27 @@
+class EventEmitterBridge {
+    #emitter;
+
+    /**
+     * Creates a bridge that re-emits SoulDew events on a Node `EventEmitter`.
+     * @param {import("node:events").EventEmitter} emitter - The emitter to emit on.
+     * @throws {TypeError} If the emitter cannot emit events.
+     */
+    constructor(emitter) {
+        if (typeof emitter?.emit !== "function") {
+            throw new TypeError("EventEmitterBridge needs an EventEmitter");
+        }
+        this.#emitter = emitter;
+    }
+
+    /**
+     * Emits a SoulDew event on the emitter, passing the whole event object as the only argument.
+     * An `error` event is only forwarded when the emitter listens for it, since Node throws unhandled `error` events.
+     * @param {{type: string, detail: *, timestamp: number}} event - The event emitted by SoulDew.
+     */
+    dispatch(event) {
+        if (event.type === "error" && this.#emitter.listenerCount?.("error") === 0) return;
+        this.#emitter.emit(event.type, event);
+    }
+}
+
+export default EventEmitterBridge;
@@ -0,0 +1,17 @@
+const WILDCARD = "*";
+
+export function isPattern(event) {
+    return event.includes(WILDCARD);
+}
+
+export function compilePattern(pattern) {
+    const source = pattern
+        .split(/(\*\*|\*)/)
+        .map(part => {
+            if (part === "**") return ".*";
+            if (part === "*") return "[^:.]*";
+            return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+        })
+        .join("");
+    return new RegExp(`^${source}$`);
+}
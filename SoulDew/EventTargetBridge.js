@@ -0,0 +1,25 @@
+class EventTargetBridge {
+    #target;
+
+    /**
+     * Creates a bridge that re-dispatches SoulDew events as DOM `CustomEvent`s.
+     * @param {EventTarget} [target=globalThis.document] - The target to dispatch on, such as `document` or `window`.
+     * @throws {TypeError} If the target cannot dispatch events.
+     */
+    constructor(target = globalThis.document) {
+        if (typeof target?.dispatchEvent !== "function") {
+            throw new TypeError("EventTargetBridge needs an EventTarget");
+        }
+        this.#target = target;
+    }
+
+    /**
+     * Dispatches a SoulDew event on the target.
+     * @param {{type: string, detail: *, timestamp: number}} event - The event emitted by SoulDew.
+     */
+    dispatch(event) {
+        this.#target.dispatchEvent(new CustomEvent(event.type, { detail: event.detail }));
+    }
+}
+
+export default EventTargetBridge;
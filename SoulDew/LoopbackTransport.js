@@ -0,0 +1,57 @@
+const channels = new Map();
+
+class LoopbackTransport {
+    #name;
+    #handlers = new Set();
+
+    /**
+     * Creates an in-process transport for tests. Like a BroadcastChannel, a message reaches every other
+     * loopback transport with the same name, as a structured clone and on a later microtask.
+     * @param {string} [name="default"] - The channel to join.
+     */
+    constructor(name = "default") {
+        this.#name = name;
+        if (!channels.has(name)) channels.set(name, new Set());
+        channels.get(name).add(this);
+    }
+
+    /**
+     * Sends a message to the other transports on the channel.
+     * @param {*} message - The message; it is cloned immediately, so it must survive the structured clone algorithm.
+     * @throws {DOMException} If the message cannot be cloned.
+     */
+    send(message) {
+        for (const peer of channels.get(this.#name) ?? []) {
+            if (peer === this) continue;
+            const copy = structuredClone(message);
+            queueMicrotask(() => peer.#deliver(copy));
+        }
+    }
+
+    /**
+     * Registers a handler for incoming messages.
+     * @param {function} handler - Called with each message.
+     * @returns {function} A function that removes the handler.
+     */
+    subscribe(handler) {
+        this.#handlers.add(handler);
+        return () => this.#handlers.delete(handler);
+    }
+
+    /**
+     * Leaves the channel.
+     */
+    close() {
+        const peers = channels.get(this.#name);
+        peers?.delete(this);
+        if (peers?.size === 0) channels.delete(this.#name);
+    }
+
+    #deliver(message) {
+        for (const handler of this.#handlers) {
+            handler(message);
+        }
+    }
+}
+
+export default LoopbackTransport;
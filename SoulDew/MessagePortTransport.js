@@ -0,0 +1,53 @@
+class MessagePortTransport {
+    #port;
+
+    /**
+     * Creates a transport over a point-to-point port: a browser `MessagePort` or `Worker`, the worker's `self`,
+     * or a `worker_threads` `MessagePort`, `Worker` or `parentPort` in Node.
+     * @param {Object} port - Anything with `postMessage` that delivers messages through `on` or `addEventListener`.
+     * @throws {TypeError} If the port cannot post messages.
+     */
+    constructor(port) {
+        if (typeof port?.postMessage !== "function") {
+            throw new TypeError("MessagePortTransport needs a port with postMessage");
+        }
+        this.#port = port;
+    }
+
+    /**
+     * Posts a message through the port.
+     * @param {*} message - The message to post.
+     * @throws {DOMException} If the message cannot be cloned.
+     */
+    send(message) {
+        this.#port.postMessage(message);
+    }
+
+    /**
+     * Registers a handler for incoming messages and starts the port.
+     * @param {function} handler - Called with the data of each message.
+     * @returns {function} A function that removes the handler.
+     */
+    subscribe(handler) {
+        const port = this.#port;
+        // Node ports and workers are EventEmitters that pass the data itself.
+        if (typeof port.on === "function") {
+            port.on("message", handler);
+            return () => port.off("message", handler);
+        }
+
+        const listener = event => handler(event.data);
+        port.addEventListener("message", listener);
+        port.start?.();
+        return () => port.removeEventListener("message", listener);
+    }
+
+    /**
+     * Closes the port when it can be closed.
+     */
+    close() {
+        this.#port.close?.();
+    }
+}
+
+export default MessagePortTransport;
@@ -1,110 +1,688 @@
-import AltoMare from "./AltoMare";
+import AltoMare, { ValidationError } from "../AltoMare/AltoMare.js";
+import { compilePattern, isPattern } from "./EventPattern.js";
+import SoulDewSync from "./SoulDewSync.js";
+import StateHistory, { capturePatch } from "./StateHistory.js";
+
+const MAX_CACHED_MATCHES = 500;
+const NO_LISTENERS = Object.freeze([]);
+
+function reportUncaught(error) {
+    if (typeof globalThis.reportError === "function") {
+        globalThis.reportError(error);
+    } else {
+        console.error(error);
+    }
+}
+
+function isThenable(value) {
+    return typeof value?.then === "function";
+}
+
+function byPriority(a, b) {
+    return b.priority - a.priority || a.order - b.order;
+}
+
+function insertByPriority(entries, entry) {
+    const index = entries.findIndex(existing => existing.priority < entry.priority);
+    return index === -1 ? [...entries, entry] : [...entries.slice(0, index), entry, ...entries.slice(index)];
+}
 
 class SoulDew {
+    // Listener lists are replaced rather than mutated, so an emit in progress keeps iterating the list it started with.
     #listeners = new Map();
+    #patterns = [];
+    #matches = new Map();
+    #order = 0;
     #states = new Map();
+    #stateSchemas = new Map();
+    #histories = new Map();
+    #derived = new Map();
+    #watchers = new Map();
+    #onError;
+    #bridges = [];
+    #syncs = new Set();
 
     #altoMare = new AltoMare();
 
+    /**
+     * Creates an event bus.
+     * A listener that throws or rejects never stops delivery to the others. Its error is passed to `onError` when given,
+     * otherwise emitted as an `error` event when something listens for one, otherwise reported to the host.
+     * @param {Object} [options={}] - Options for the bus.
+     * @param {function} [options.onError] - Called with `{ error, event, listener }` for every listener failure.
+     * @param {Array<{dispatch: function}>} [options.bridges=[]] - Bridges that receive every emitted event.
+     * @param {AltoMare} [options.altoMare] - The AltoMare instance holding the schemas that guard states.
+     * @throws {TypeError} If an option has the wrong type or a bridge has no dispatch method.
+     */
+    constructor(options = {}) {
+        this.#altoMare.checkParams(arguments, ["object?"]);
+        if (options.onError !== undefined && typeof options.onError !== "function") {
+            throw new TypeError("onError must be a function");
+        }
+        if (options.altoMare !== undefined) {
+            if (!(options.altoMare instanceof AltoMare)) throw new TypeError("altoMare must be an AltoMare instance");
+            this.#altoMare = options.altoMare;
+        }
+        this.#onError = options.onError;
+        for (const bridge of options.bridges ?? []) {
+            this.addBridge(bridge);
+        }
+    }
+
+    /**
+     * Forwards every emitted event to another event system, such as the DOM or a Node EventEmitter.
+     * Bridges run after the listeners, and a failing bridge is reported like a failing listener.
+     * @param {{dispatch: function}} bridge - An object whose `dispatch(event)` receives each `{ type, detail, timestamp }` event.
+     * @throws {TypeError} If the bridge has no dispatch method.
+     */
+    addBridge(bridge) {
+        this.#altoMare.checkParams(arguments, ["object"]);
+        if (typeof bridge.dispatch !== "function") {
+            throw new TypeError("A bridge must have a dispatch method");
+        }
+        this.#bridges = [...this.#bridges, bridge];
+    }
+
+    /**
+     * Stops forwarding events to a bridge.
+     * @param {{dispatch: function}} bridge - The bridge to remove.
+     */
+    removeBridge(bridge) {
+        this.#altoMare.checkParams(arguments, ["object"]);
+        this.#bridges = this.#bridges.filter(candidate => candidate !== bridge);
+    }
+
     /**
      * Adds an event listener.
-     * @param {string} event - The name of the event to listen for.
+     * Events may be glob patterns: `*` matches within a `:` or `.` separated segment and `**` matches across segments,
+     * so `stateChange:*` receives every state change and `net.**` every event under `net.`.
+     * @param {string} event - The name or pattern of the event to listen for.
      * @param {function} listener - The callback function to execute when the event is emitted.
-     * @param {boolean} [once=false] - If true, the listener will be automatically removed after being invoked once.
+     * @param {boolean|Object} [options=false] - `true` for a once listener, or an options object.
+     * @param {boolean} [options.once=false] - If true, the listener will be automatically removed after being invoked once.
+     * @param {number} [options.priority=0] - Listeners with a higher priority run first; equal priorities run in the order they were added.
      * @throws {TypeError} If event is not a string or listener is not a function.
      */
-    on(event, listener, once = false) {
-        this.#altoMare.checkParams(arguments, ["string", "function"]);
-        const eventObj = { listener, once };
+    on(event, listener, options = false) {
+        this.#altoMare.checkParams(arguments, ["string", "function", "boolean|object?"]);
+        const { once = false, priority = 0 } = typeof options === "boolean" ? { once: options } : options;
+        if (!Number.isFinite(priority)) throw new TypeError("Listener priority must be a finite number");
 
-        if (!this.#listeners.has(event)) this.#listeners.set(event, []);
-        this.#listeners.get(event).push(eventObj);
+        const entry = { event, listener, once, priority, order: this.#order++ };
+        if (isPattern(event)) {
+            entry.matcher = compilePattern(event);
+            this.#patterns = insertByPriority(this.#patterns, entry);
+            this.#matches.clear();
+        } else {
+            this.#listeners.set(event, insertByPriority(this.#listeners.get(event) ?? [], entry));
+            this.#matches.delete(event);
+        }
+    }
+
+    /**
+     * Adds a listener that receives every emitted event.
+     * @param {function} listener - The callback function to execute for each event.
+     * @param {boolean|Object} [options=false] - The same options as {@link SoulDew#on}.
+     * @throws {TypeError} If listener is not a function.
+     */
+    onAny(listener, options = false) {
+        this.#altoMare.checkParams(arguments, ["function", "boolean|object?"]);
+        this.on("**", listener, options);
     }
 
     /**
      * Removes an event listener.
-     * @param {string} event - The name of the event to remove the listener from.
+     * @param {string} event - The name or pattern the listener was added with.
      * @param {function} listener - The callback function to remove.
      * @throws {TypeError} If event is not a string or listener is not a function.
      */
     off(event, listener) {
         this.#altoMare.checkParams(arguments, ["string", "function"]);
 
-        if (this.#listeners.has(event)) {
-            const listeners = this.#listeners.get(event);
-            const index = listeners.findIndex((obj) => obj.listener === listener);
-            if (index !== -1) {
-                listeners.splice(index, 1);
-                if (listeners.length === 0) {
-                    this.#listeners.delete(event);
-                }
+        const entries = isPattern(event) ? this.#patterns : this.#listeners.get(event) ?? [];
+        const entry = entries.find(candidate => candidate.event === event && candidate.listener === listener);
+        if (entry) this.#remove(entry);
+    }
+
+    /**
+     * Removes a listener added with {@link SoulDew#onAny}.
+     * @param {function} listener - The callback function to remove.
+     * @throws {TypeError} If listener is not a function.
+     */
+    offAny(listener) {
+        this.#altoMare.checkParams(arguments, ["function"]);
+        this.off("**", listener);
+    }
+
+    #remove(entry) {
+        entry.removed = true;
+        if (entry.matcher) {
+            this.#patterns = this.#patterns.filter(candidate => candidate !== entry);
+            this.#matches.clear();
+            return;
+        }
+
+        const entries = (this.#listeners.get(entry.event) ?? []).filter(candidate => candidate !== entry);
+        if (entries.length === 0) {
+            this.#listeners.delete(entry.event);
+        } else {
+            this.#listeners.set(entry.event, entries);
+        }
+        this.#matches.delete(entry.event);
+    }
+
+    #listenersFor(event) {
+        const exact = this.#listeners.get(event);
+        if (this.#patterns.length === 0) return exact;
+
+        let entries = this.#matches.get(event);
+        if (!entries) {
+            const patterns = this.#patterns.filter(entry => entry.matcher.test(event));
+            entries = patterns.length === 0 ? exact ?? [] : [...(exact ?? []), ...patterns].sort(byPriority);
+
+            if (this.#matches.size >= MAX_CACHED_MATCHES) this.#matches.clear();
+            this.#matches.set(event, entries);
+        }
+        return entries;
+    }
+
+    #invoke(entry, event) {
+        if (entry.once) this.#remove(entry);
+        return entry.listener(event);
+    }
+
+    #report(error, event, listener) {
+        const failure = { error, event, listener };
+        if (this.#onError) {
+            try {
+                this.#onError(failure);
+            } catch (hookError) {
+                reportUncaught(hookError);
+            }
+        } else if (event !== "error" && this.#listeners.has("error")) {
+            this.emit("error", failure);
+        } else {
+            reportUncaught(error);
+        }
+    }
+
+    #dispatch(event) {
+        for (const bridge of this.#bridges) {
+            try {
+                bridge.dispatch(event);
+            } catch (error) {
+                this.#report(error, event.type, bridge);
             }
         }
     }
 
     /**
-     * Emits an event using CustomEvent.
+     * Emits an event to its listeners as a plain `{ type, detail, timestamp }` object, then to the bridges.
+     * Exact and pattern listeners are called together in priority order. The listeners are fixed when the emit starts:
+     * listeners added while it runs wait for the next emit, and listeners removed while it runs are skipped.
      * @param {string} event - The name of the event to emit.
      * @param {*} [detail] - A value to be passed to the event listener.
      * @throws {TypeError} If event is not a string.
      */
     emit(event, detail) {
-        this.#altoMare.checkParams(arguments, ["string", "any"]);
-        const customEvent = new CustomEvent(event, { detail });
-
-        if (this.#listeners.has(event)) {
-            const listeners = this.#listeners.get(event);
-            for (let i = 0; i < listeners.length; i+= 1) {
-                const { listener, once } = listeners[i];
-
-                listener(customEvent);
-                if (once) {
-                    listeners.splice(i, 1);
-                    i-= 1;
+        this.#altoMare.checkParams(arguments, ["string", "any?"]);
+        this.#emit(event, detail, false);
+    }
+
+    #emit(event, detail, remote) {
+        const eventObject = { type: event, detail, timestamp: Date.now() };
+
+        for (const entry of this.#listenersFor(event) ?? NO_LISTENERS) {
+            if (entry.removed) continue;
+            try {
+                const result = this.#invoke(entry, eventObject);
+                if (isThenable(result)) {
+                    result.then(undefined, error => this.#report(error, event, entry.listener));
                 }
+            } catch (error) {
+                this.#report(error, event, entry.listener);
             }
         }
 
-        document.dispatchEvent(customEvent);
+        this.#dispatch(eventObject);
+        if (!remote && this.#syncs.size > 0) this.#forward(sync => sync.forwardEvent(event, detail));
+    }
+
+    #forward(send) {
+        for (const sync of this.#syncs) {
+            send(sync);
+        }
+    }
+
+    /**
+     * Emits an event and waits for its listeners, including async ones.
+     * Listener failures are returned rather than reported, in the shape of `Promise.allSettled`.
+     * @param {string} event - The name of the event to emit.
+     * @param {*} [detail] - A value to be passed to the event listener.
+     * @param {Object} [options={}] - Options for this emit.
+     * @param {boolean} [options.parallel=false] - Start every listener at once instead of awaiting each in priority order.
+     * @returns {Promise<Array<{status: string, value?: *, reason?: *}>>} The settled result of each listener that ran.
+     * @throws {TypeError} If event is not a string.
+     */
+    async emitAsync(event, detail, options = {}) {
+        this.#altoMare.checkParams(arguments, ["string", "any?", "object?"]);
+        const eventObject = { type: event, detail, timestamp: Date.now() };
+        const listeners = this.#listenersFor(event) ?? NO_LISTENERS;
+        const call = async entry => this.#invoke(entry, eventObject);
+
+        let results;
+        if (options.parallel) {
+            results = await Promise.allSettled(listeners.filter(entry => !entry.removed).map(call));
+        } else {
+            results = [];
+            for (const entry of listeners) {
+                if (entry.removed) continue;
+                const [result] = await Promise.allSettled([call(entry)]);
+                results.push(result);
+            }
+        }
+
+        this.#dispatch(eventObject);
+        if (this.#syncs.size > 0) this.#forward(sync => sync.forwardEvent(event, detail));
+        return results;
     }
 
     /**
      * Links a state object to the state manager.
+     * With a schema, the state must be valid now and every later setState is checked before anything is written.
      * @param {string} stateName - A unique name for the state.
      * @param {Object} state - The state object to observe.
-     * @throws {TypeError} If stateName is not a string, object, or null.
+     * @param {Object} [options={}] - Options for the state.
+     * @param {string} [options.schema] - The name of an AltoMare schema the state must always satisfy.
+     * @param {boolean|Object} [options.history=false] - Record changes for undo and redo; `true` keeps the last 100 steps.
+     * @param {number} [options.history.limit=100] - The number of steps to keep.
+     * @throws {TypeError} If stateName is not a string, object, or null, or the history limit is not a positive integer.
+     * @throws {Error} If the schema is not registered or the name belongs to a derived state.
+     * @throws {ValidationError} If the state does not satisfy the schema.
      */
-    observeState(stateName, state) {
-        this.#altoMare.checkParams(arguments, ["string", "object"]);
+    observeState(stateName, state, options = {}) {
+        this.#altoMare.checkParams(arguments, ["string", "object", "object?"]);
+        const { schema, history = false } = options;
+        if (this.#derived.has(stateName)) throw new Error(`State "${stateName}" is derived and cannot be observed`);
+        const stateHistory = history ? new StateHistory(history === true ? undefined : history.limit) : null;
+
+        if (schema !== undefined) {
+            const errors = this.#validateState(schema, state);
+            if (errors.length > 0) throw new ValidationError(schema, errors);
+            this.#stateSchemas.set(stateName, schema);
+        } else {
+            this.#stateSchemas.delete(stateName);
+        }
+        if (stateHistory) {
+            this.#histories.set(stateName, stateHistory);
+        } else {
+            this.#histories.delete(stateName);
+        }
         this.#states.set(stateName, state);
     }
 
+    #validateState(schema, state) {
+        try {
+            return this.#altoMare.validateDetailed(schema, state).errors;
+        } catch (error) {
+            // Strict AltoMare instances throw instead of returning the errors.
+            if (error instanceof ValidationError) return error.errors;
+            throw error;
+        }
+    }
+
     /**
      * Sets new values to properties in the observed state.
-     * Optionally emits a 'stateChange' event for the changed properties.
+     * Optionally emits a 'stateChange' event for each changed property, with `{ key, oldValue, newValue, value }`
+     * where `value` repeats `newValue`.
+     * When the state has a schema and the update would make it invalid, nothing is written: a
+     * `stateRejected:${stateName}` event is emitted with `{ changes, errors }` and a ValidationError is thrown.
      * @param {string} stateName - The name of the state to update.
      * @param {Object} newState - An object with new state values to set directly onto the existing state.
      * @param {boolean} [emitEvent=true] - Whether to emit a 'stateChange' event.
-     * @throws {Error} If the state does not exist.
+     * @throws {Error} If the state does not exist or is derived.
+     * @throws {ValidationError} If the update does not satisfy the state's schema.
      */
     setState(stateName, newState, emitEvent = true) {
-        this.#altoMare.checkParams(arguments, ["string", "object", "boolean"]);
-
+        this.#altoMare.checkParams(arguments, ["string", "object", "boolean?"]);
+        if (this.#derived.has(stateName)) throw new Error(`State "${stateName}" is derived and cannot be set`);
         const currentState = this.#states.get(stateName);
         if (!currentState) throw new Error(`State "${stateName}" not found`);
 
-        for (const key in newState) {
-            if (Object.hasOwn(newState, key)) {
-                currentState[key] = newState[key];
-                if (emitEvent) {
-                    this.emit(`stateChange:${stateName}`, {
-                        value: newState[key],
-                    });
+        this.#commit(stateName, currentState, { values: newState, removed: [] }, emitEvent, false);
+    }
+
+    #commit(stateName, currentState, patch, emitEvent, remote, record = !remote) {
+        const { values, removed } = patch;
+        const keys = Object.keys(values);
+
+        const schema = this.#stateSchemas.get(stateName);
+        if (schema !== undefined) {
+            const candidate = { ...currentState, ...values };
+            removed.forEach(key => delete candidate[key]);
+
+            const errors = this.#validateState(schema, candidate);
+            if (errors.length > 0) {
+                this.#emit(`stateRejected:${stateName}`, { changes: values, errors }, remote);
+                throw new ValidationError(schema, errors);
+            }
+        }
+
+        const history = record ? this.#histories.get(stateName) : undefined;
+        const before = history ? capturePatch(currentState, [...keys, ...removed]) : null;
+
+        for (const key of removed) {
+            const oldValue = currentState[key];
+            delete currentState[key];
+            if (emitEvent) {
+                this.#emit(`stateChange:${stateName}`, { key, oldValue, newValue: undefined, value: undefined }, remote);
+            }
+        }
+        for (const key of keys) {
+            const oldValue = currentState[key];
+            currentState[key] = values[key];
+            if (emitEvent) {
+                this.#emit(`stateChange:${stateName}`, {
+                    key,
+                    oldValue,
+                    newValue: values[key],
+                    value: values[key],
+                }, remote);
+            }
+        }
+
+        history?.record(before, { values: { ...values }, removed: [...removed] });
+        this.#notify(stateName, emitEvent);
+        if (!remote && this.#syncs.size > 0) {
+            this.#forward(sync => sync.forwardState(stateName, patch));
+        }
+    }
+
+    #notify(stateName, emitEvent) {
+        for (const watcher of this.#watchers.get(stateName) ?? []) {
+            watcher(emitEvent);
+        }
+    }
+
+    #watch(stateName, watcher) {
+        if (!this.#watchers.has(stateName)) this.#watchers.set(stateName, new Set());
+        this.#watchers.get(stateName).add(watcher);
+        return () => this.#watchers.get(stateName)?.delete(watcher);
+    }
+
+    /**
+     * Calls a listener when a slice of a state changes. The selector runs once after each update to the state,
+     * however many keys it set, and the listener only runs when the result differs from the previous one.
+     * Updates made with `emitEvent` set to false are not reported until a later update changes the slice.
+     * @param {string} stateName - The name of the state.
+     * @param {function} selector - Receives the state and returns the slice to watch.
+     * @param {function} listener - Receives the new slice and the previous one.
+     * @param {Object} [options={}] - Options for the selection.
+     * @param {function} [options.equals=Object.is] - Decides whether two slices are the same.
+     * @returns {function} A function that stops the selection.
+     * @throws {Error} If the state does not exist.
+     */
+    select(stateName, selector, listener, options = {}) {
+        this.#altoMare.checkParams(arguments, ["string", "function", "function", "object?"]);
+        const state = this.#states.get(stateName);
+        if (!state) throw new Error(`State "${stateName}" not found`);
+
+        const { equals = Object.is } = options;
+        let selected = selector(state);
+        return this.#watch(stateName, emitEvent => {
+            if (!emitEvent) return;
+            try {
+                const next = selector(this.#states.get(stateName));
+                if (equals(next, selected)) return;
+
+                const previous = selected;
+                selected = next;
+                listener(next, previous);
+            } catch (error) {
+                this.#report(error, `stateChange:${stateName}`, listener);
+            }
+        });
+    }
+
+    /**
+     * Defines a read-only state computed from other states. It is computed now and again after each update to one of
+     * its sources, and emits 'stateChange' events for the keys whose values changed unless the source update was made
+     * with `emitEvent` set to false. Derived states are computed separately in every instance, so they are never synced,
+     * recorded in a history or restored from a snapshot.
+     * If a later computation throws, the error is reported and the previous values are kept.
+     * @param {string} stateName - A unique name for the derived state.
+     * @param {string[]} dependencies - The names of the states it is computed from.
+     * @param {function} compute - Receives the source states in order and returns an object with the derived values.
+     * @throws {Error} If the name is taken or a source state does not exist.
+     * @throws {TypeError} If compute does not return an object.
+     */
+    derive(stateName, dependencies, compute) {
+        this.#altoMare.checkParams(arguments, ["string", "array", "function"]);
+        if (this.#states.has(stateName)) throw new Error(`State "${stateName}" already exists`);
+        for (const dependency of dependencies) {
+            if (!this.#states.has(dependency)) throw new Error(`State "${dependency}" not found`);
+        }
+
+        const computeState = () => {
+            const result = compute(...dependencies.map(dependency => this.#states.get(dependency)));
+            if (typeof result !== "object" || result === null || Array.isArray(result)) {
+                throw new TypeError(`Derived state "${stateName}" must be computed as an object`);
+            }
+            return result;
+        };
+
+        const state = { ...computeState() };
+        const recompute = emitEvent => {
+            try {
+                const next = computeState();
+                const patch = {
+                    values: Object.fromEntries(Object.entries(next)
+                        .filter(([key, value]) => !Object.hasOwn(state, key) || !Object.is(state[key], value))),
+                    removed: Object.keys(state).filter(key => !Object.hasOwn(next, key)),
+                };
+                if (Object.keys(patch.values).length > 0 || patch.removed.length > 0) {
+                    this.#commit(stateName, state, patch, emitEvent, true, false);
                 }
+            } catch (error) {
+                this.#report(error, `stateChange:${stateName}`, compute);
+            }
+        };
+
+        this.#states.set(stateName, state);
+        this.#derived.set(stateName, {
+            dependencies,
+            unwatch: dependencies.map(dependency => this.#watch(dependency, recompute)),
+        });
+    }
+
+    #history(stateName) {
+        const history = this.#histories.get(stateName);
+        if (!history) throw new Error(`State "${stateName}" does not keep a history`);
+        return history;
+    }
+
+    /**
+     * Reverts the most recent recorded change to a state, emitting 'stateChange' events for the restored keys.
+     * Changes received through {@link SoulDew#sync} are not recorded.
+     * @param {string} stateName - The name of the state.
+     * @returns {boolean} Whether there was a change to undo.
+     * @throws {Error} If the state does not exist or does not keep a history.
+     * @throws {ValidationError} If the restored values no longer satisfy the state's schema.
+     */
+    undo(stateName) {
+        this.#altoMare.checkParams(arguments, ["string"]);
+        const history = this.#history(stateName);
+        return history.undo(patch => this.#commit(stateName, this.#states.get(stateName), patch, true, false, false));
+    }
+
+    /**
+     * Re-applies the most recently undone change to a state.
+     * Any new change to the state clears the changes that could be redone.
+     * @param {string} stateName - The name of the state.
+     * @returns {boolean} Whether there was a change to redo.
+     * @throws {Error} If the state does not exist or does not keep a history.
+     * @throws {ValidationError} If the values no longer satisfy the state's schema.
+     */
+    redo(stateName) {
+        this.#altoMare.checkParams(arguments, ["string"]);
+        const history = this.#history(stateName);
+        return history.redo(patch => this.#commit(stateName, this.#states.get(stateName), patch, true, false, false));
+    }
+
+    /**
+     * Tells whether a state has a change to undo.
+     * @param {string} stateName - The name of the state.
+     * @returns {boolean} True if {@link SoulDew#undo} would change the state.
+     */
+    canUndo(stateName) {
+        this.#altoMare.checkParams(arguments, ["string"]);
+        return this.#histories.get(stateName)?.canUndo ?? false;
+    }
+
+    /**
+     * Tells whether a state has a change to redo.
+     * @param {string} stateName - The name of the state.
+     * @returns {boolean} True if {@link SoulDew#redo} would change the state.
+     */
+    canRedo(stateName) {
+        this.#altoMare.checkParams(arguments, ["string"]);
+        return this.#histories.get(stateName)?.canRedo ?? false;
+    }
+
+    /**
+     * Runs a callback and records every change it makes to a state as a single history step.
+     * Groups may be nested; the outermost group decides the step.
+     * If the callback throws, the changes it made are reverted, emitting 'stateChange' events, and the error is rethrown.
+     * An async callback keeps the group open until its promise settles, and a rejection reverts the group the same way.
+     * Every change to the state while it is open joins the step, so do not interleave async groups on one state.
+     * @param {string} stateName - The name of the state.
+     * @param {function} callback - The function making the changes.
+     * @returns {*} The callback's return value, or a promise of it if the callback returned one.
+     * @throws {Error} If the state does not exist or does not keep a history, or whatever the callback throws.
+     */
+    group(stateName, callback) {
+        this.#altoMare.checkParams(arguments, ["string", "function"]);
+        const history = this.#history(stateName);
+
+        history.beginGroup();
+        let result;
+        try {
+            result = callback();
+        } catch (error) {
+            this.#revertGroup(stateName, history);
+            throw error;
+        }
+
+        if (isThenable(result)) {
+            return Promise.resolve(result).then(value => {
+                history.endGroup();
+                return value;
+            }, error => {
+                this.#revertGroup(stateName, history);
+                throw error;
+            });
+        }
+        history.endGroup();
+        return result;
+    }
+
+    #revertGroup(stateName, history) {
+        const before = history.cancelGroup();
+        const state = this.#states.get(stateName);
+        if (before && state) this.#commit(stateName, state, before, true, false, false);
+    }
+
+    /**
+     * Forgets the recorded changes of a state.
+     * @param {string} stateName - The name of the state.
+     * @throws {Error} If the state does not keep a history.
+     */
+    clearHistory(stateName) {
+        this.#altoMare.checkParams(arguments, ["string"]);
+        this.#history(stateName).clear();
+    }
+
+    /**
+     * Captures a deep copy of every observed state.
+     * @returns {Object<string, Object>} The copies, keyed by state name. States must survive the structured clone algorithm.
+     */
+    snapshot() {
+        return Object.fromEntries([...this.#states].map(([stateName, state]) => [stateName, structuredClone(state)]));
+    }
+
+    /**
+     * Returns observed states to the values captured by {@link SoulDew#snapshot}.
+     * Every state is checked against its schema before any is changed. Each restored state emits 'stateChange' events
+     * for the keys that differ and records the restore as one undoable step. States that are not observed are skipped.
+     * @param {Object<string, Object>} snapshot - The snapshot to restore.
+     * @throws {ValidationError} If a restored state does not satisfy its schema.
+     */
+    restore(snapshot) {
+        this.#altoMare.checkParams(arguments, ["object"]);
+
+        const restores = Object.entries(snapshot)
+            .filter(([stateName]) => this.#states.has(stateName) && !this.#derived.has(stateName))
+            .map(([stateName, saved]) => {
+                const values = structuredClone(saved);
+                const schema = this.#stateSchemas.get(stateName);
+                if (schema !== undefined) {
+                    const errors = this.#validateState(schema, values);
+                    if (errors.length > 0) throw new ValidationError(schema, errors);
+                }
+                return [stateName, values];
+            });
+
+        for (const [stateName, values] of restores) {
+            const currentState = this.#states.get(stateName);
+            const patch = {
+                values: Object.fromEntries(Object.entries(values)
+                    .filter(([key, value]) => !Object.hasOwn(currentState, key) || !Object.is(currentState[key], value))),
+                removed: Object.keys(currentState).filter(key => !Object.hasOwn(values, key)),
+            };
+            if (Object.keys(patch.values).length > 0 || patch.removed.length > 0) {
+                this.#commit(stateName, currentState, patch, true, false);
             }
         }
     }
 
+    /**
+     * Shares events and state changes with SoulDew instances in other tabs, workers or threads.
+     * Only changes made in this instance are sent; changes received from a transport are applied but never sent on,
+     * so instances must be connected directly. Concurrent writes to the same key are resolved last-writer-wins
+     * using Lamport clocks, so every instance settles on the same value.
+     * A received change that the local schema rejects is not applied: it is reported as `stateRejected:${stateName}`
+     * through the error channel and the instances keep different values for those keys until a later change to them is
+     * accepted. Give synced states the same schema on every instance to avoid this.
+     * @param {{send: function, subscribe: function}} transport - The transport connecting the instances.
+     * @param {Object} [options={}] - What to share.
+     * @param {string[]} [options.events=[]] - Event names or patterns to forward.
+     * @param {string[]|boolean} [options.states=[]] - State names to keep in sync, or `true` for every state.
+     * @param {string} [options.id] - A stable identifier for this instance; a random UUID by default.
+     * @returns {SoulDewSync} The connection; call `close()` to stop syncing.
+     * @throws {TypeError} If the transport does not have send and subscribe methods.
+     */
+    sync(transport, options = {}) {
+        this.#altoMare.checkParams(arguments, ["object", "object?"]);
+
+        const sync = new SoulDewSync(transport, options, {
+            emit: (event, detail) => this.#emit(event, detail, true),
+            setState: (stateName, { values, removed }) => {
+                const currentState = this.#states.get(stateName);
+                if (!currentState || this.#derived.has(stateName)) return;
+                try {
+                    const patch = { values, removed: removed.filter(key => Object.hasOwn(currentState, key)) };
+                    this.#commit(stateName, currentState, patch, true, true);
+                } catch (error) {
+                    this.#report(error, `stateRejected:${stateName}`, transport);
+                }
+            },
+            report: (error, event) => this.#report(error, event, transport),
+            close: () => this.#syncs.delete(sync),
+        });
+        this.#syncs.add(sync);
+        return sync;
+    }
+
     /**
      * Gets the state object by its name.
      * @param {string} stateName - The name of the state to retrieve.
@@ -117,9 +695,24 @@ class SoulDew {
     /**
      * Removes a state from observation.
      * @param {string} stateName - The name of the state to remove.
+     * @throws {Error} If a derived state is computed from it; remove the derived state first.
      */
     removeState(stateName) {
+        const dependents = [...this.#derived]
+            .filter(([, { dependencies }]) => dependencies.includes(stateName))
+            .map(([name]) => name);
+        if (dependents.length > 0) {
+            throw new Error(
+                `State "${stateName}" cannot be removed while derived states depend on it: ${dependents.join(", ")}`
+            );
+        }
+
+        this.#derived.get(stateName)?.unwatch.forEach(unwatch => unwatch());
+        this.#derived.delete(stateName);
+        this.#watchers.delete(stateName);
         this.#states.delete(stateName);
+        this.#stateSchemas.delete(stateName);
+        this.#histories.delete(stateName);
     }
 }
 
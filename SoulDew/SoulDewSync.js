@@ -0,0 +1,139 @@
+import { compilePattern } from "./EventPattern.js";
+
+const SOURCE = "souldew";
+
+function createId() {
+    return globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function isNewer(time, origin, stamp) {
+    return !stamp || time > stamp.time || (time === stamp.time && origin > stamp.origin);
+}
+
+class SoulDewSync {
+    #transport;
+    #hooks;
+    #id;
+    #events;
+    #states;
+    #clock = 0;
+    #stamps = new Map();
+    #unsubscribe;
+
+    /**
+     * Connects a SoulDew instance to a transport. Created through {@link SoulDew#sync}.
+     * @param {{send: function, subscribe: function}} transport - The transport connecting the instances.
+     * @param {Object} options - The events and states to share, as accepted by {@link SoulDew#sync}.
+     * @param {Object} hooks - Callbacks into the owning SoulDew instance.
+     * @throws {TypeError} If the transport does not have send and subscribe methods.
+     */
+    constructor(transport, options, hooks) {
+        if (typeof transport.send !== "function" || typeof transport.subscribe !== "function") {
+            throw new TypeError("A sync transport must have send and subscribe methods");
+        }
+
+        const { events = [], states = [] } = options;
+        this.#transport = transport;
+        this.#hooks = hooks;
+        this.#id = options.id ?? createId();
+        this.#events = events.map(compilePattern);
+        this.#states = states === true ? null : new Set(states);
+        this.#unsubscribe = transport.subscribe(message => this.#receive(message));
+    }
+
+    /**
+     * The identifier this instance sends with its messages; it breaks ties between writes made at the same clock time.
+     * @returns {string} The instance identifier.
+     */
+    get id() {
+        return this.#id;
+    }
+
+    /**
+     * Sends a locally emitted event to the other instances if it was selected.
+     * @param {string} type - The name of the event.
+     * @param {*} detail - The event detail; it must survive the structured clone algorithm.
+     */
+    forwardEvent(type, detail) {
+        if (!this.#sharesEvent(type)) return;
+        this.#send({ kind: "event", type, detail }, type);
+    }
+
+    /**
+     * Sends a local state change to the other instances if the state is synced, stamping each key with the clock.
+     * @param {string} stateName - The name of the changed state.
+     * @param {{values: Object, removed: string[]}} patch - The keys and values that were set, and the keys that were deleted.
+     */
+    forwardState(stateName, { values, removed }) {
+        if (!this.#sharesState(stateName)) return;
+
+        const time = ++this.#clock;
+        for (const key of [...Object.keys(values), ...removed]) {
+            this.#stampsFor(stateName).set(key, { time, origin: this.#id });
+        }
+        const message = { kind: "state", state: stateName, changes: { ...values }, removed: [...removed], time };
+        this.#send(message, `stateChange:${stateName}`);
+    }
+
+    /**
+     * Stops sending and receiving. The transport itself stays open.
+     */
+    close() {
+        this.#unsubscribe?.();
+        this.#hooks.close();
+    }
+
+    #sharesEvent(type) {
+        return this.#events.some(pattern => pattern.test(type));
+    }
+
+    #sharesState(stateName) {
+        return this.#states === null || this.#states.has(stateName);
+    }
+
+    #stampsFor(stateName) {
+        let stamps = this.#stamps.get(stateName);
+        if (!stamps) {
+            stamps = new Map();
+            this.#stamps.set(stateName, stamps);
+        }
+        return stamps;
+    }
+
+    #send(message, event) {
+        try {
+            this.#transport.send({ source: SOURCE, origin: this.#id, ...message });
+        } catch (error) {
+            this.#hooks.report(new TypeError(`Cannot sync '${event}': ${error.message}`, { cause: error }), event);
+        }
+    }
+
+    #receive(message) {
+        if (message?.source !== SOURCE || message.origin === this.#id) return;
+
+        if (message.kind === "event" && this.#sharesEvent(message.type)) {
+            this.#hooks.emit(message.type, message.detail);
+        } else if (message.kind === "state" && this.#sharesState(message.state)) {
+            this.#receiveState(message);
+        }
+    }
+
+    #receiveState({ state, changes, removed = [], time, origin }) {
+        this.#clock = Math.max(this.#clock, time) + 1;
+
+        const stamps = this.#stampsFor(state);
+        const accept = key => {
+            if (!isNewer(time, origin, stamps.get(key))) return false;
+            stamps.set(key, { time, origin });
+            return true;
+        };
+        const values = Object.fromEntries(Object.entries(changes).filter(([key]) => accept(key)));
+        const deleted = removed.filter(accept);
+
+        if (Object.keys(values).length > 0 || deleted.length > 0) {
+            this.#hooks.setState(state, { values, removed: deleted });
+        }
+    }
+}
+
+export default SoulDewSync;
@@ -0,0 +1,163 @@
+const DEFAULT_LIMIT = 100;
+
+export function capturePatch(state, keys) {
+    const patch = { values: {}, removed: [] };
+    for (const key of keys) {
+        if (Object.hasOwn(state, key)) {
+            patch.values[key] = state[key];
+        } else {
+            patch.removed.push(key);
+        }
+    }
+    return patch;
+}
+
+function patchKeys(patch) {
+    return [...Object.keys(patch.values), ...patch.removed];
+}
+
+function mergeBefore(first, second) {
+    const known = new Set(patchKeys(first));
+    const merged = { values: { ...first.values }, removed: [...first.removed] };
+    for (const key of patchKeys(second)) {
+        if (known.has(key)) continue;
+        if (Object.hasOwn(second.values, key)) {
+            merged.values[key] = second.values[key];
+        } else {
+            merged.removed.push(key);
+        }
+    }
+    return merged;
+}
+
+function mergeAfter(first, second) {
+    const values = { ...first.values, ...second.values };
+    const removed = new Set(first.removed.filter(key => !Object.hasOwn(second.values, key)));
+    for (const key of second.removed) {
+        delete values[key];
+        removed.add(key);
+    }
+    return { values, removed: [...removed] };
+}
+
+class StateHistory {
+    #limit;
+    #past = [];
+    #future = [];
+    #groups = [];
+
+    /**
+     * Creates an undo/redo history for one state. Each step holds the values before and after a change.
+     * @param {number} [limit=100] - The number of steps to keep; the oldest step is dropped first.
+     * @throws {TypeError} If the limit is not a positive integer.
+     */
+    constructor(limit = DEFAULT_LIMIT) {
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new TypeError("History limit must be a positive integer");
+        }
+        this.#limit = limit;
+    }
+
+    get canUndo() {
+        return this.#past.length > 0;
+    }
+
+    get canRedo() {
+        return this.#future.length > 0;
+    }
+
+    /**
+     * Records a change, merging it into the open group if there is one.
+     * @param {{values: Object, removed: string[]}} before - The changed keys before the change.
+     * @param {{values: Object, removed: string[]}} after - The changed keys after the change.
+     */
+    record(before, after) {
+        const last = this.#groups.length - 1;
+        if (last >= 0) {
+            const pending = this.#groups[last];
+            this.#groups[last] = pending
+                ? { before: mergeBefore(pending.before, before), after: mergeAfter(pending.after, after) }
+                : { before, after };
+            return;
+        }
+        this.#push({ before, after });
+    }
+
+    #push(entry) {
+        this.#past.push(entry);
+        if (this.#past.length > this.#limit) this.#past.shift();
+        this.#future = [];
+    }
+
+    /**
+     * Opens a group; changes recorded until the matching {@link StateHistory#endGroup} form one step.
+     */
+    beginGroup() {
+        this.#groups.push(null);
+    }
+
+    /**
+     * Closes a group, merging its changes into the enclosing group or recording them as one step if it is outermost.
+     */
+    endGroup() {
+        const entry = this.#groups.pop();
+        if (entry) this.record(entry.before, entry.after);
+    }
+
+    /**
+     * Closes a group without recording its changes.
+     * @returns {{values: Object, removed: string[]}|null} The values the group changed, as they were before it, or
+     * null if it changed nothing.
+     */
+    cancelGroup() {
+        return this.#groups.pop()?.before ?? null;
+    }
+
+    /**
+     * Moves the latest step to the redo stack after applying its earlier values.
+     * @param {function} apply - Writes a patch to the state; if it throws, the history is left unchanged.
+     * @returns {boolean} Whether there was a step to undo.
+     */
+    undo(apply) {
+        const entry = this.#past.pop();
+        if (!entry) return false;
+
+        try {
+            apply(entry.before);
+        } catch (error) {
+            this.#past.push(entry);
+            throw error;
+        }
+        this.#future.push(entry);
+        return true;
+    }
+
+    /**
+     * Moves the latest undone step back to the undo stack after applying its later values.
+     * @param {function} apply - Writes a patch to the state; if it throws, the history is left unchanged.
+     * @returns {boolean} Whether there was a step to redo.
+     */
+    redo(apply) {
+        const entry = this.#future.pop();
+        if (!entry) return false;
+
+        try {
+            apply(entry.after);
+        } catch (error) {
+            this.#future.push(entry);
+            throw error;
+        }
+        this.#past.push(entry);
+        return true;
+    }
+
+    /**
+     * Forgets every step.
+     */
+    clear() {
+        this.#past = [];
+        this.#future = [];
+    }
+}
+
+export default StateHistory;
@@ -0,0 +1,68 @@
+import { performance } from "node:perf_hooks";
+import { isDeepStrictEqual } from "node:util";
+import AltoMare from "../AltoMare/AltoMare.js";
+
+const MESSAGES = Number(process.argv[2]) || 20000;
+const ROUNDS = 5;
+
+const altoMare = new AltoMare("silent");
+altoMare.register("position", {
+    requiredProperties: ["x", "y"],
+    x: { type: "number", min: -1000, max: 1000 },
+    y: { type: "number", min: -1000, max: 1000 },
+});
+altoMare.register("message", {
+    requiredProperties: ["id", "kind", "player"],
+    id: { type: "string", pattern: "^[a-f0-9]{8}$" },
+    kind: { type: "string", enum: ["move", "chat", "attack"] },
+    player: {
+        type: "object",
+        properties: {
+            requiredProperties: ["name"],
+            name: { type: "string", minLength: 3, maxLength: 16, pattern: "^[A-Za-z0-9_]+$" },
+            position: { ref: "position" },
+        },
+    },
+    text: { type: "string", maxLength: 200, nullable: true },
+    targets: { type: "array", items: { type: "string", pattern: "^[a-f0-9]{8}$" } },
+});
+
+function createMessage(index) {
+    const message = {
+        id: index.toString(16).padStart(8, "0"),
+        kind: ["move", "chat", "attack"][index % 3],
+        player: { name: `player_${index % 100}`, position: { x: index % 500, y: -(index % 300) } },
+        text: index % 2 ? "hello there" : null,
+        targets: [(index + 1).toString(16).padStart(8, "0")],
+    };
+    if (index % 10 === 0) message.player.position.x = 5000;
+    if (index % 17 === 0) message.unexpected = true;
+    return message;
+}
+
+const messages = Array.from({ length: MESSAGES }, (_, index) => createMessage(index));
+const compiled = altoMare.compile("message");
+
+for (const message of messages) {
+    if (!isDeepStrictEqual(compiled(message), altoMare.validateDetailed("message", message))) {
+        throw new Error(`Compiled result differs from the interpreter for ${JSON.stringify(message)}`);
+    }
+}
+
+function measure(label, validate) {
+    let best = Infinity;
+    for (let round = 0; round < ROUNDS; round++) {
+        const started = performance.now();
+        for (const message of messages) validate(message);
+        best = Math.min(best, performance.now() - started);
+    }
+
+    const perSecond = Math.round((messages.length / best) * 1000);
+    console.log(`${label.padEnd(12)} ${best.toFixed(1).padStart(8)} ms  ${perSecond.toLocaleString("en-US").padStart(12)} msg/s`);
+    return best;
+}
+
+console.log(`Validating ${messages.length} messages, best of ${ROUNDS} rounds`);
+const interpreted = measure("interpreted", message => altoMare.validateDetailed("message", message));
+const fast = measure("compiled", compiled);
+console.log(`Speedup: ${(interpreted / fast).toFixed(2)}x`);
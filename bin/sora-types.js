@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+import { writeFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { loadSource, toAltoMare } from "./sources.js";
+
+const USAGE = `Usage: sora-types <source> [--format ts|jsdoc] [--out <file>] [--no-templates]
+
+<source> is either a JSON file shaped like { "schemas": {...}, "templates": {...} }
+or an ES module whose default export is an AltoMare instance or that same shape.`;
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            format: { type: "string", default: "ts" },
+            out: { type: "string" },
+            "no-templates": { type: "boolean", default: false },
+            help: { type: "boolean", short: "h", default: false },
+        },
+    });
+
+    if (values.help || positionals.length !== 1) {
+        console.log(USAGE);
+        return values.help ? 0 : 2;
+    }
+
+    const altoMare = toAltoMare(await loadSource(positionals[0]));
+    const output = altoMare.generateTypes({ format: values.format, templates: !values["no-templates"] });
+
+    if (values.out) {
+        await writeFile(values.out, output);
+    } else {
+        process.stdout.write(output);
+    }
+    return 0;
+}
+
+main().then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(`sora-types: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+import { createReadStream } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { extname } from "node:path";
+import { createInterface } from "node:readline";
+import { parseArgs } from "node:util";
+import { ValidationError } from "../AltoMare/AltoMare.js";
+import { loadModule, loadSource, toAltoMare } from "./sources.js";
+
+const USAGE = `Usage: sora-validate --schemas <source> --schema <name> [options] <data file>...
+
+Options:
+  --schemas <source>     JSON file shaped like { "schemas": {...}, "templates": {...} }, or an ES module
+                         whose default export is an AltoMare instance or that same shape (repeatable)
+  --schema <name>        Name of the schema every record is validated against
+  --validators <module>  ES module exporting custom validators, as its default export or named functions
+  --ndjson               Treat every data file as newline-delimited JSON (.ndjson and .jsonl always are)
+  --output text|json     Output format (default: text)
+
+Use "-" as a data file to read from standard input.
+Exits with 0 when every record is valid, 1 when any record is invalid and 2 on usage or setup errors.`;
+
+const NDJSON_EXTENSIONS = new Set([".ndjson", ".jsonl"]);
+
+function parseFailure(error) {
+    return [{ code: "parse", path: "", message: `Invalid JSON: ${error.message}` }];
+}
+
+function readFailure(error) {
+    return [{ code: "read", path: "", message: `Cannot read file: ${error.message}` }];
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString("utf8");
+}
+
+async function* readRecords(file, ndjson) {
+    if (!ndjson) {
+        const text = file === "-" ? await readStdin() : await readFile(file, "utf8");
+        try {
+            yield { data: JSON.parse(text) };
+        } catch (error) {
+            yield { errors: parseFailure(error) };
+        }
+        return;
+    }
+
+    const input = file === "-" ? process.stdin : createReadStream(file, "utf8");
+    let line = 0;
+    for await (const text of createInterface({ input, crlfDelay: Infinity })) {
+        line++;
+        if (text.trim() === "") continue;
+        try {
+            yield { line, data: JSON.parse(text) };
+        } catch (error) {
+            yield { line, errors: parseFailure(error) };
+        }
+    }
+}
+
+async function registerValidators(altoMare, source) {
+    const module = await loadModule(source);
+    const validators = module.default ?? Object.fromEntries(
+        Object.entries(module).filter(([, value]) => typeof value === "function"));
+    altoMare.registerValidators(validators);
+}
+
+async function validate(altoMare, schema, data) {
+    try {
+        return await altoMare.validateAsync(schema, data);
+    } catch (error) {
+        if (error instanceof ValidationError) return { valid: false, errors: error.errors };
+        throw error;
+    }
+}
+
+function formatText({ file, line, valid, errors }) {
+    const location = line === undefined ? file : `${file}:${line}`;
+    if (valid) return `${location}: valid`;
+
+    const count = `${errors.length} error${errors.length === 1 ? "" : "s"}`;
+    return [`${location}: ${count}`, ...errors.map(error => `  ${error.path || "/"}: ${error.message}`)].join("\n");
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            schemas: { type: "string", multiple: true, default: [] },
+            schema: { type: "string" },
+            validators: { type: "string", multiple: true, default: [] },
+            ndjson: { type: "boolean", default: false },
+            output: { type: "string", default: "text" },
+            help: { type: "boolean", short: "h", default: false },
+        },
+    });
+
+    const usable = values.schemas.length > 0 && values.schema && positionals.length > 0;
+    if (values.help || !usable || !["text", "json"].includes(values.output)) {
+        console.log(USAGE);
+        return values.help ? 0 : 2;
+    }
+
+    const altoMare = toAltoMare(await Promise.all(values.schemas.map(loadSource)));
+    for (const source of values.validators) {
+        await registerValidators(altoMare, source);
+    }
+    // Fail before reading any data when the schema name is wrong.
+    altoMare.get(values.schema);
+
+    // Text output is streamed, so records are only kept when the JSON report needs them.
+    const results = [];
+    let valid = true;
+    const report = entry => {
+        valid &&= entry.valid;
+        if (values.output === "text") {
+            console.log(formatText(entry));
+        } else {
+            results.push(entry);
+        }
+    };
+
+    for (const file of positionals) {
+        const ndjson = values.ndjson || NDJSON_EXTENSIONS.has(extname(file));
+        try {
+            for await (const { line, data, errors } of readRecords(file, ndjson)) {
+                const result = errors ? { valid: false, errors } : await validate(altoMare, values.schema, data);
+                report({ file, line, valid: result.valid, errors: result.errors });
+            }
+        } catch (error) {
+            if (!error.syscall) throw error;
+            report({ file, valid: false, errors: readFailure(error) });
+        }
+    }
+
+    if (values.output === "json") {
+        console.log(JSON.stringify({ valid, results }, null, 2));
+    }
+    return valid ? 0 : 1;
+}
+
+main().then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(`sora-validate: ${error.message}`);
+    process.exitCode = 2;
+});
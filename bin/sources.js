@@ -0,0 +1,39 @@
+import { readFile } from "node:fs/promises";
+import { extname, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import AltoMare from "../AltoMare/AltoMare.js";
+
+export async function loadSource(source) {
+    const path = resolve(source);
+    if (extname(path) === ".json") {
+        return JSON.parse(await readFile(path, "utf8"));
+    }
+    const module = await import(pathToFileURL(path).href);
+    return module.default;
+}
+
+export async function loadModule(source) {
+    return import(pathToFileURL(resolve(source)).href);
+}
+
+export function toAltoMare(sources) {
+    const list = [sources].flat();
+    // An instance carries its own validators, formats and messages, which cannot be copied into another one.
+    const instances = list.filter(source => source instanceof AltoMare);
+    if (instances.length > 1) {
+        throw new Error(`Only one schema source may export an AltoMare instance, got ${instances.length}`);
+    }
+    const altoMare = instances[0] ?? new AltoMare("silent");
+
+    for (const source of list) {
+        if (source instanceof AltoMare) continue;
+
+        for (const [name, schema] of Object.entries(source.schemas || {})) {
+            altoMare.register(name, schema);
+        }
+        if (source.templates) {
+            altoMare.loadTemplates(source.templates);
+        }
+    }
+    return altoMare;
+}
@@ -0,0 +1,118 @@
+import { expect } from "chai";
+import AltoMare from "../AltoMare/AltoMare.js";
+
+const CASES = {
+    email: [["ada@example.com", "first.last+tag@sub.example.org"], ["ada", "ada@localhost", ".ada@example.com", "a..b@example.com"]],
+    uri: [["https://example.com/a?b=c", "urn:isbn:0451450523"], ["example.com", "/relative/path", "http://exa mple.com"]],
+    uuid: [["123e4567-e89b-12d3-a456-426614174000"], ["123e4567e89b12d3a456426614174000", "123e4567-e89b-12d3-a456-42661417400g"]],
+    date: [["2024-02-29", "1999-12-31"], ["2023-02-29", "2024-13-01", "2024-1-01"]],
+    "date-time": [["2024-02-29T12:30:00Z", "2024-02-29t12:30:00.5+01:00"], ["2024-02-29T12:30:00", "2024-02-29T24:00:00Z"]],
+    time: [["23:59:60Z", "08:15:00-05:00"], ["08:15", "08:15:00", "08:15:00+24:00"]],
+    duration: [["P1Y2M3DT4H5M6S", "PT15M", "P2W"], ["P", "PT", "P1DT", "P1W2D"]],
+    ipv4: [["192.168.0.1", "0.0.0.0"], ["256.0.0.1", "01.2.3.4", "1.2.3"]],
+    ipv6: [["::", "2001:db8::1", "::ffff:192.168.0.1", "1:2:3:4:5:6:7:8"], ["1::2::3", "1:2:3:4:5:6:7:8:9", "12345::", "1.2.3.4::"]],
+    hostname: [["example.com", "localhost", "xn--bcher-kva.example"], ["-example.com", "exa_mple.com", `${"a".repeat(64)}.com`]],
+    "hex-color": [["#fff", "#1e90ff", "#1E90FF80"], ["fff", "#ggg", "#12345"]],
+    semver: [["1.0.0", "2.1.3-beta.1+build.5"], ["1.0", "01.0.0", "1.0.0-"]],
+};
+
+describe("Formats", () => {
+    let altoMare;
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+    });
+
+    for (const [format, [valid, invalid]] of Object.entries(CASES)) {
+        it(`checks the ${format} format`, () => {
+            altoMare.register("value", { value: { type: "string", format } });
+
+            for (const value of valid) {
+                expect(altoMare.validate("value", { value }), value).to.equal(true);
+            }
+            for (const value of invalid) {
+                expect(altoMare.validate("value", { value }), value).to.equal(false);
+            }
+        });
+    }
+
+    it("reports format-specific messages in both validation paths", () => {
+        altoMare.register("contact", { email: { type: "string", format: "email" }, site: { format: "uri" } });
+        const data = { email: "nope", site: "nope" };
+
+        const { errors } = altoMare.validateDetailed("contact", data);
+        expect(errors).to.deep.equal([
+            { code: "format", path: "/email", message: "Value must be a valid email address", expected: "email", actual: "nope" },
+            { code: "format", path: "/site", message: "Value must be an absolute URI", expected: "uri", actual: "nope" },
+        ]);
+        expect(altoMare.compile("contact")(data).errors).to.deep.equal(errors);
+    });
+
+    it("ignores values that are not strings", () => {
+        altoMare.register("value", { value: { format: "ipv4" } });
+        expect(altoMare.validate("value", { value: 42 })).to.equal(true);
+    });
+
+    it("registers custom formats with their own messages", () => {
+        altoMare.registerFormats({
+            slug: { validate: /^[a-z0-9]+(?:-[a-z0-9]+)*$/, message: "Value must be a URL slug", examples: ["hello-world"] },
+            even: value => Number(value) % 2 === 0,
+        });
+        altoMare.registerMessages("de", { "format.slug": "Wert muss ein Slug sein" });
+        altoMare.register("post", { requiredProperties: ["slug"], slug: { type: "string", format: "slug" }, id: { format: "even" } });
+
+        expect(altoMare.validate("post", { slug: "hello-world", id: "4" })).to.equal(true);
+        expect(altoMare.validateDetailed("post", { slug: "Hello World" }).errors[0].message).to.equal("Value must be a URL slug");
+        expect(altoMare.validateDetailed("post", { slug: "a", id: "3" }).errors[0].message).to.equal("Value must be a valid even");
+
+        altoMare.setLocale("de");
+        expect(altoMare.validateDetailed("post", { slug: "Hello World" }).errors[0].message).to.equal("Wert muss ein Slug sein");
+        expect(altoMare.generate("post", { seed: 1 }).slug).to.equal("hello-world");
+    });
+
+    it("rejects duplicate and unknown formats", () => {
+        expect(() => altoMare.registerFormats({ email: /@/ })).to.throw('Format "email" already exists');
+        expect(() => altoMare.registerFormats({ broken: "nope" })).to.throw("Format must be a function");
+
+        altoMare.register("value", { value: { format: "missing" } });
+        expect(() => altoMare.validate("value", { value: "x" })).to.throw('Format "missing" not found');
+    });
+
+    it("generates samples for built-in formats", () => {
+        altoMare.register("server", {
+            requiredProperties: ["host", "ip", "version"],
+            host: { type: "string", format: "hostname" },
+            ip: { type: "string", format: "ipv6" },
+            version: { type: "string", format: "semver" },
+        });
+
+        expect(altoMare.validate("server", altoMare.generate("server", { seed: 9 }))).to.equal(true);
+        expect(altoMare.generateInvalid("server", { seed: 9 }).filter(sample => sample.rule === "format")).to.have.lengthOf(3);
+    });
+
+    it("maps formats to and from JSON Schema", () => {
+        altoMare.registerFormats({ slug: /^[a-z-]+$/ });
+        altoMare.register("page", {
+            id: { type: "string", format: "uuid" },
+            color: { type: "string", format: "hex-color" },
+            slug: { type: "string", format: "slug", pattern: "^[a-z]" },
+        });
+
+        const { schema, unsupported } = altoMare.toJSONSchema("page");
+        expect(schema.properties.id).to.deep.equal({ type: "string", format: "uuid" });
+        expect(schema.properties.color.pattern).to.equal("^#(?:[0-9a-fA-F]{3,4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$");
+        expect(schema.properties.slug).to.deep.equal({ type: "string", format: "slug", pattern: "^[a-z]" });
+        expect(unsupported.map(entry => entry.path)).to.deep.equal(["/properties/slug/format"]);
+
+        const imported = altoMare.fromJSONSchema({
+            title: "device",
+            type: "object",
+            additionalProperties: false,
+            properties: { ip: { type: "string", format: "ipv4" }, ref: { type: "string", format: "uri-reference" } },
+        });
+        expect(altoMare.get("device")).to.deep.equal({ ip: { type: "string", format: "ipv4" }, ref: { type: "string" } });
+        expect(imported.unsupported).to.deep.equal([{
+            path: "/properties/ref/format", keyword: "format", reason: "Format 'uri-reference' is not registered in AltoMare",
+        }]);
+    });
+});
@@ -0,0 +1,257 @@
+import { expect } from "chai";
+import AltoMare from "../AltoMare/AltoMare.js";
+
+const accountDocument = {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    title: "account",
+    type: "object",
+    required: ["id", "email"],
+    additionalProperties: false,
+    properties: {
+        id: { type: "string", pattern: "^ACC-\\d+$" },
+        email: { type: "string", format: "email" },
+        age: { type: "integer", minimum: 18, maximum: 130 },
+        role: { const: "member" },
+        tags: { type: "array", items: { type: "string", minLength: 1 } },
+    },
+    $defs: {
+        address: {
+            type: "object",
+            required: ["street"],
+            additionalProperties: false,
+            properties: {
+                street: { type: "string", maxLength: 80 },
+                country: { enum: ["NO", "SE"] },
+            },
+        },
+    },
+};
+
+describe("JSON Schema interoperability", () => {
+    let altoMare;
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+    });
+
+    it("registers the root schema and its $defs", () => {
+        const { registered } = altoMare.fromJSONSchema(accountDocument);
+        expect(registered).to.deep.equal(["address", "account"]);
+
+        expect(altoMare.get("account")).to.deep.equal({
+            requiredProperties: ["id", "email"],
+            id: { type: "string", pattern: "^ACC-\\d+$" },
+            email: { type: "string", format: "email" },
+            age: { type: "integer", min: 18, max: 130 },
+            role: { enum: ["member"] },
+            tags: { type: "array", items: { type: "string", minLength: 1 } },
+        });
+        expect(altoMare.validate("address", { street: "Main St", country: "NO" })).to.equal(true);
+        expect(altoMare.validate("address", { country: "DK" })).to.equal(false);
+    });
+
+    it("reports keywords it cannot translate", () => {
+        const { unsupported } = altoMare.fromJSONSchema(accountDocument);
+        expect(unsupported).to.deep.equal([]);
+
+        const { unsupported: reported } = altoMare.fromJSONSchema({
+            title: "settings",
+            type: "object",
+            properties: { flags: { type: "array", uniqueItems: true } },
+            additionalProperties: false,
+        });
+        expect(reported.map(entry => entry.path)).to.deep.equal(["/properties/flags/uniqueItems"]);
+    });
+
+    it("requires a name for an untitled root schema", () => {
+        const untitled = { type: "object", properties: { a: { type: "string" } } };
+        expect(() => altoMare.fromJSONSchema(untitled)).to.throw(/title/);
+        expect(altoMare.fromJSONSchema(untitled, "thing").registered).to.deep.equal(["thing"]);
+    });
+
+    it("exports registered schemas as draft 2020-12 documents", () => {
+        altoMare.registerValidators({ isEven: value => value % 2 === 0 });
+        altoMare.register("order", {
+            requiredProperties: ["id"],
+            id: { type: "string", minLength: { value: 3, message: "Too short" } },
+            quantity: { type: "number", min: 1, isEven: true },
+            lines: {
+                type: "array",
+                items: { type: "object", properties: { sku: { type: "string" } } },
+            },
+        });
+
+        const { schema, unsupported } = altoMare.toJSONSchema("order");
+        expect(schema).to.deep.equal({
+            $schema: "https://json-schema.org/draft/2020-12/schema",
+            title: "order",
+            type: "object",
+            required: ["id"],
+            additionalProperties: false,
+            properties: {
+                id: { type: "string", minLength: 3 },
+                quantity: { type: "number", minimum: 1 },
+                lines: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        properties: { sku: { type: "string" } },
+                        additionalProperties: false,
+                    },
+                },
+            },
+        });
+        expect(unsupported).to.deep.equal([
+            { path: "/properties/id/minLength", keyword: "minLength", reason: "Custom error messages are not part of JSON Schema" },
+            { path: "/properties/quantity/isEven", keyword: "isEven", reason: "Custom validator 'isEven' cannot be expressed in JSON Schema" },
+        ]);
+    });
+
+    it("reports schema-level messages it drops", () => {
+        altoMare.register("contact", {
+            messages: { required: "Please fill in {property}" },
+            email: { type: "string" },
+            address: { type: "object", properties: { messages: { type: "Wrong kind of value" }, city: { type: "string" } } },
+        });
+
+        const { schema, unsupported } = altoMare.toJSONSchema("contact");
+        expect(schema).to.not.have.property("messages");
+        expect(unsupported).to.deep.equal([
+            { path: "/properties/address/messages", keyword: "messages", reason: "Custom error messages are not part of JSON Schema" },
+            { path: "/messages", keyword: "messages", reason: "Custom error messages are not part of JSON Schema" },
+        ]);
+    });
+
+    it("maps array length limits to minItems and maxItems in both directions", () => {
+        altoMare.register("basket", {
+            items: { type: "array", items: { type: "string", minLength: 2 }, minLength: 1, maxLength: 5 },
+            name: { type: "string", maxLength: 20 },
+        });
+
+        const { schema, unsupported } = altoMare.toJSONSchema("basket");
+        expect(unsupported).to.deep.equal([]);
+        expect(schema.properties.items).to.deep.equal({
+            type: "array", items: { type: "string", minLength: 2 }, minItems: 1, maxItems: 5,
+        });
+        expect(schema.properties.name).to.deep.equal({ type: "string", maxLength: 20 });
+
+        const copy = new AltoMare("silent");
+        expect(copy.fromJSONSchema(schema).unsupported).to.deep.equal([]);
+        expect(copy.get("basket")).to.deep.equal(altoMare.get("basket"));
+        expect(copy.validate("basket", { items: [] })).to.equal(false);
+    });
+
+    it("imports prefixItems as a tuple only when the array length is fixed", () => {
+        const prefix = [{ type: "string" }, { type: "number" }];
+        const { unsupported } = altoMare.fromJSONSchema({
+            title: "pairs",
+            type: "object",
+            properties: {
+                fixed: { type: "array", prefixItems: prefix, items: false, minItems: 2 },
+                open: { type: "array", prefixItems: prefix },
+                rest: { type: "array", prefixItems: prefix, items: { type: "boolean" } },
+            },
+            additionalProperties: false,
+        });
+
+        expect(unsupported.map(({ path, keyword }) => `${keyword} ${path}`)).to.deep.equal([
+            "prefixItems /properties/open/prefixItems",
+            "prefixItems /properties/rest/prefixItems",
+        ]);
+        expect(altoMare.get("pairs")).to.deep.equal({
+            fixed: { type: "array", items: prefix },
+            open: { type: "array" },
+            rest: { type: "array" },
+        });
+        expect(altoMare.validate("pairs", { open: ["a"], rest: ["a", 1, true, false] })).to.equal(true);
+        expect(altoMare.validate("pairs", { fixed: ["a"] })).to.equal(false);
+    });
+
+    it("round-trips translatable schemas", () => {
+        altoMare.fromJSONSchema(accountDocument);
+        const { schema } = altoMare.toJSONSchema("address");
+        const copy = new AltoMare("silent");
+        copy.fromJSONSchema(schema);
+        expect(copy.get("address")).to.deep.equal(altoMare.get("address"));
+    });
+});
+
+describe("JSON Schema references and composition", () => {
+    let altoMare;
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+    });
+
+    it("imports $ref, unions and nullable types", () => {
+        const { unsupported } = altoMare.fromJSONSchema({
+            title: "customer",
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                billing: { $ref: "#/$defs/address" },
+                shipping: { anyOf: [{ $ref: "#/$defs/address" }, { type: "null" }] },
+                note: { type: ["string", "null"] },
+                external: { $ref: "https://example.com/other.json" },
+            },
+            $defs: {
+                address: { type: "object", additionalProperties: false, properties: { street: { type: "string" } } },
+            },
+        });
+
+        expect(altoMare.get("customer")).to.deep.equal({
+            billing: { ref: "address" },
+            shipping: { anyOf: [{ ref: "address" }, { type: "null" }] },
+            note: { type: "string", nullable: true },
+            external: {},
+        });
+        expect(unsupported.map(entry => entry.path)).to.deep.equal(["/properties/external/$ref"]);
+    });
+
+    it("exports references into $defs", () => {
+        altoMare.register("address", { street: { type: "string" } });
+        altoMare.register("customer", {
+            billing: { ref: "address" },
+            note: { type: "string", nullable: true },
+            contact: { oneOf: [{ type: "string" }, { type: "number" }] },
+        });
+
+        const { schema } = altoMare.toJSONSchema("customer");
+        expect(schema.properties).to.deep.equal({
+            billing: { $ref: "#/$defs/address" },
+            note: { type: ["string", "null"] },
+            contact: { oneOf: [{ type: "string" }, { type: "number" }] },
+        });
+        expect(schema.$defs).to.have.keys("address");
+    });
+});
+
+describe("JSON Schema conditional keywords", () => {
+    it("translates if/then/else and dependentRequired both ways", () => {
+        const altoMare = new AltoMare("silent");
+        altoMare.fromJSONSchema({
+            title: "account",
+            type: "object",
+            additionalProperties: false,
+            properties: { kind: { type: "string" }, vat: { type: "string" }, email: { type: "string" } },
+            if: { properties: { kind: { const: "company" } }, required: ["kind"] },
+            then: { required: ["vat"] },
+            dependentRequired: { email: ["kind"] },
+        });
+
+        expect(altoMare.get("account")).to.deep.equal({
+            dependentRequired: { email: ["kind"] },
+            if: { requiredProperties: ["kind"], kind: { enum: ["company"] } },
+            then: { requiredProperties: ["vat"] },
+            kind: { type: "string" },
+            vat: { type: "string" },
+            email: { type: "string" },
+        });
+        expect(altoMare.validate("account", { kind: "company" })).to.equal(false);
+
+        const { schema } = altoMare.toJSONSchema("account");
+        expect(schema.if).to.deep.equal({ properties: { kind: { enum: ["company"] } }, required: ["kind"] });
+        expect(schema.then).to.deep.equal({ required: ["vat"] });
+        expect(schema.dependentRequired).to.deep.equal({ email: ["kind"] });
+    });
+});
@@ -0,0 +1,101 @@
+import { expect } from "chai";
+import AltoMare from "../AltoMare/AltoMare.js";
+
+describe("MessageCatalog", () => {
+    let altoMare;
+
+    const messagesFor = (schemaName, data) => altoMare.validateDetailed(schemaName, data).errors.map(error => error.message);
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+        altoMare.registerValidators({ isEven: value => value % 2 === 0 });
+        altoMare.register("user", {
+            requiredProperties: ["name"],
+            name: { type: "string", minLength: 3 },
+            age: { type: "number", min: 18, isEven: true },
+        });
+    });
+
+    it("interpolates built-in messages", () => {
+        expect(messagesFor("user", { name: "Al", age: 7, extra: 1 })).to.deep.equal([
+            "Unknown property 'extra' is not allowed",
+            "Value must have a length of at least 3",
+            "Value must be at least 18",
+            "isEven validation failed",
+        ]);
+        expect(messagesFor("user", { name: 5 })).to.deep.equal([
+            "Type validation failed. Expected string, got number",
+            "Value must have a length of at least 3",
+        ]);
+    });
+
+    it("words length messages for strings and collections alike", () => {
+        altoMare.register("team", {
+            members: { type: "array", minLength: 3 },
+            roles: { type: "set", maxLength: 1 },
+        });
+        expect(messagesFor("team", { members: ["a", "b"], roles: new Set(["x", "y"]) })).to.deep.equal([
+            "Value must have a length of at least 3",
+            "Value must have a length of at most 1",
+        ]);
+    });
+
+    it("switches locale for built-in and custom validators", () => {
+        altoMare.registerMessages("nb", {
+            required: "Feltet '{property}' mangler",
+            minLength: "må være minst {minLength} tegn",
+            isEven: "må være et partall, fikk {actual}",
+        });
+        altoMare.setLocale("nb");
+
+        expect(altoMare.getLocale()).to.equal("nb");
+        expect(messagesFor("user", { name: "Al", age: 19 })).to.deep.equal([
+            "må være minst 3 tegn",
+            "må være et partall, fikk 19",
+        ]);
+        expect(messagesFor("user", {})).to.deep.equal(["Feltet 'name' mangler"]);
+    });
+
+    it("falls back to English for messages missing from the locale", () => {
+        altoMare.registerMessages("nb", { required: "Feltet '{property}' mangler" });
+        altoMare.setLocale("nb");
+        expect(messagesFor("user", { name: "Ann", age: 12 })).to.deep.equal(["Value must be at least 18"]);
+    });
+
+    it("refuses unknown locales", () => {
+        expect(() => altoMare.setLocale("xx")).to.throw(/xx/);
+    });
+
+    it("prefers field and schema overrides over the catalog", () => {
+        altoMare.register("signup", {
+            requiredProperties: ["email"],
+            messages: { required: "Please fill in {property}", type: "Wrong kind of value" },
+            email: { type: "string" },
+            code: {
+                type: "string",
+                messages: { type: "Code must be text" },
+                minLength: { value: 4, message: "Code needs {minLength} characters, got '{actual}'" },
+            },
+        });
+
+        expect(messagesFor("signup", { code: 1 })).to.deep.equal([
+            "Please fill in email",
+            "Code must be text",
+            "Code needs 4 characters, got '1'",
+        ]);
+        expect(messagesFor("signup", { email: 1 })).to.deep.equal(["Wrong kind of value"]);
+    });
+
+    it("accepts message functions", () => {
+        altoMare.registerMessages("en", { isEven: ({ actual }) => `${actual} is odd` });
+        expect(messagesFor("user", { name: "Ann", age: 19 })).to.deep.equal(["19 is odd"]);
+    });
+
+    it("produces the same messages from compiled validators", () => {
+        altoMare.registerMessages("nb", { minLength: "minst {minLength} tegn" });
+        const validate = altoMare.compile("user");
+        altoMare.setLocale("nb");
+        expect(validate({ name: "Al" })).to.deep.equal(altoMare.validateDetailed("user", { name: "Al" }));
+        expect(validate({ name: "Al" }).errors[0].message).to.equal("minst 3 tegn");
+    });
+});
@@ -0,0 +1,122 @@
+import { expect } from "chai";
+import AltoMare from "../AltoMare/AltoMare.js";
+import { samplePattern } from "../AltoMare/PatternSampler.js";
+
+function sequence(...values) {
+    let index = 0;
+    return () => values[index++ % values.length];
+}
+
+describe("SampleGenerator", () => {
+    let altoMare;
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+        altoMare.register("address", {
+            requiredProperties: ["street"],
+            street: { type: "string", minLength: 3 },
+            zip: { type: "string", pattern: "^\\d{5}$" },
+        });
+        altoMare.register("user", {
+            requiredProperties: ["id", "name", "role", "tags", "address"],
+            id: { type: "string", pattern: "^USR-[0-9]{4}$" },
+            name: { type: "string", minLength: 2, maxLength: 10 },
+            age: { type: "number", min: 18, max: 99 },
+            role: { type: "string", enum: ["admin", "member"] },
+            tags: { type: "array", minLength: 1, maxLength: 3, items: { type: "string", maxLength: 5 } },
+            address: { ref: "address" },
+            contact: { oneOf: [{ type: "string", minLength: 5 }, { type: "number", min: 0 }] },
+            nickname: { type: "string", nullable: true },
+            dependentRequired: { age: ["nickname"] },
+        });
+    });
+
+    describe("generate", () => {
+        it("produces valid samples", () => {
+            for (let seed = 0; seed < 50; seed++) {
+                expect(altoMare.validate("user", altoMare.generate("user", { seed }))).to.equal(true);
+            }
+        });
+
+        it("is deterministic for a seed", () => {
+            const first = altoMare.generate("user", { seed: 42 });
+            expect(altoMare.generate("user", { seed: 42 })).to.deep.equal(first);
+            expect(altoMare.generate("user", { seed: 43 })).to.not.deep.equal(first);
+        });
+
+        it("uses generator hooks of custom validators", () => {
+            const isEven = Object.assign(value => value % 2 === 0, {
+                generate: (_, { random, valid }) => 2 * Math.floor(random() * 50) + (valid ? 0 : 1),
+            });
+            altoMare.registerValidators({ isEven });
+            altoMare.register("counter", { requiredProperties: ["count"], count: { type: "number", isEven: true } });
+
+            expect(altoMare.generate("counter", { seed: 1 }).count % 2).to.equal(0);
+            const nearMiss = altoMare.generateInvalid("counter", { seed: 1 }).find(sample => sample.rule === "isEven");
+            expect(nearMiss.data.count % 2).to.equal(1);
+        });
+
+        it("gives up on schemas it cannot satisfy", () => {
+            altoMare.registerValidators({ never: () => false });
+            altoMare.register("impossible", { requiredProperties: ["value"], value: { type: "string", never: true } });
+
+            expect(() => altoMare.generate("impossible")).to.throw("Could not generate a valid sample for schema 'impossible'");
+        });
+    });
+
+    describe("generateInvalid", () => {
+        it("tags each near miss with the rule it violates", () => {
+            const samples = altoMare.generateInvalid("user", { seed: 3 });
+
+            for (const { rule, path, data } of samples) {
+                const { errors } = altoMare.validateDetailed("user", data);
+                expect(errors.map(error => error.code), `${rule} at ${path}`).to.include(rule);
+            }
+
+            const tags = samples.map(({ rule, path }) => `${rule} ${path}`);
+            expect(tags).to.include.members([
+                "required /id",
+                "pattern /id",
+                "min /age",
+                "max /age",
+                "enum /role",
+                "maxLength /tags",
+                "maxLength /tags/0",
+                "required /address/street",
+                "dependentRequired /nickname",
+                "unknownProperty /__unknown__",
+            ]);
+        });
+
+        it("changes a single value per sample", () => {
+            const samples = altoMare.generateInvalid("user", { seed: 5 });
+            const missingId = samples.find(sample => sample.rule === "required" && sample.path === "/id");
+            const shortName = samples.find(sample => sample.rule === "minLength" && sample.path === "/name");
+
+            expect(missingId.data).to.not.have.property("id");
+            expect({ ...shortName.data, name: undefined }).to.deep.equal({ ...missingId.data, id: shortName.data.id, name: undefined });
+        });
+    });
+
+    describe("samplePattern", () => {
+        it("samples strings matching common patterns", () => {
+            const patterns = [
+                "^PRD-\\d+$",
+                "^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$",
+                "^(?:ab|cd){2,3}x?$",
+                "^[^a-z]{3}$",
+                /^#[0-9a-f]{6}$/,
+            ];
+            const random = sequence(0.1, 0.7, 0.35, 0.95, 0.5);
+
+            for (const pattern of patterns) {
+                expect(samplePattern(pattern, random)).to.match(new RegExp(pattern));
+            }
+        });
+
+        it("rejects features it cannot sample", () => {
+            expect(() => samplePattern("^(?=a)a$", Math.random)).to.throw("lookaround is not supported");
+            expect(() => samplePattern("^(a)\\1$", Math.random)).to.throw("backreference is not supported");
+        });
+    });
+});
@@ -0,0 +1,96 @@
+import { expect } from "chai";
+import AltoMare, { ValidationError } from "../AltoMare/AltoMare.js";
+
+describe("SchemaCompiler", () => {
+    let altoMare;
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+        altoMare.registerValidators({ isEven: value => value % 2 === 0 });
+        altoMare.register("address", {
+            requiredProperties: ["street"],
+            street: { type: "string", minLength: 2 },
+        });
+        altoMare.register("person", {
+            requiredProperties: ["name"],
+            name: { type: "string", pattern: "^[A-Z]", maxLength: { value: 10, message: "Name too long" } },
+            age: { type: "number", min: 0, isEven: true },
+            home: { ref: "address", nullable: true },
+            friends: { type: "array", items: { ref: "person" } },
+            meta: { type: "object", properties: { "a/b": { type: "boolean" } } },
+            id: { oneOf: [{ type: "number" }, { type: "string", minLength: 3 }] },
+            code: { allOf: [{ type: "string" }, { minLength: 2 }], anyOf: [{ pattern: "^x" }, { pattern: "^y" }] },
+        });
+    });
+
+    const fixtures = [
+        { name: "Ann" },
+        {},
+        "not an object",
+        [],
+        { name: "ann", age: -3, extra: 1 },
+        { name: "Annabelle-Marie", home: null, friends: [{ name: "Bob" }, { age: 2 }] },
+        { name: "Ann", home: { street: "A", town: "Oslo" }, meta: { "a/b": "yes" } },
+        { name: "Ann", id: 12, code: "xy" },
+        { name: "Ann", id: "ab", code: "z" },
+        { name: "Ann", friends: "none", home: 5 },
+    ];
+
+    it("returns the same results as the interpreter", () => {
+        const validate = altoMare.compile("person");
+        for (const fixture of fixtures) {
+            expect(validate(fixture)).to.deep.equal(altoMare.validateDetailed("person", fixture));
+        }
+    });
+
+    it("handles cyclic data like the interpreter", () => {
+        const ann = { name: "Ann", friends: [] };
+        ann.friends.push(ann, { name: "bob", friends: [ann] });
+        expect(altoMare.compile("person")(ann)).to.deep.equal(altoMare.validateDetailed("person", ann));
+    });
+
+    it("matches the interpreter for conditional and cross-field rules", () => {
+        altoMare.register("account", {
+            kind: { type: "string" },
+            vat: { type: "string" },
+            email: { type: "string" },
+            verified: { type: "boolean" },
+            if: { kind: { enum: ["company"] } },
+            then: { requiredProperties: ["vat"] },
+            dependentRequired: { email: ["verified"] },
+            checks: [data => data.kind !== "bot" || { property: "kind", code: "human" }],
+        });
+
+        const validate = altoMare.compile("account");
+        for (const fixture of [{ kind: "company" }, { kind: "company", vat: "1" }, { email: "x" }, { kind: "bot" }]) {
+            expect(validate(fixture)).to.deep.equal(altoMare.validateDetailed("account", fixture));
+        }
+    });
+
+    it("caches compiled validators", () => {
+        expect(altoMare.compile("person")).to.equal(altoMare.compile("person"));
+    });
+
+    it("picks up schema changes made through register", () => {
+        const validate = altoMare.compile("person");
+        expect(validate({ name: "Ann", home: { street: "Main" } }).valid).to.equal(true);
+
+        altoMare.register("address", { street: { type: "number" } });
+        expect(validate({ name: "Ann", home: { street: "Main" } }).errors[0]).to.include({
+            code: "type",
+            path: "/home/street",
+        });
+    });
+
+    it("stops validating schemas that were unregistered", () => {
+        const validate = altoMare.compile("person");
+        altoMare.unregister("person");
+        expect(() => validate({ name: "Ann" })).to.throw(/not found/);
+    });
+
+    it("throws ValidationError in strict mode", () => {
+        const strict = new AltoMare("strict");
+        strict.register("thing", { value: { type: "string" } });
+        expect(() => strict.compile("thing")({ value: 1 })).to.throw(ValidationError);
+    });
+});
@@ -0,0 +1,158 @@
+import { expect } from "chai";
+import AltoMare from "../AltoMare/AltoMare.js";
+
+const before = {
+    requiredProperties: ["id", "name"],
+    id: { type: "string", pattern: "^U-\\d+$" },
+    name: { type: "string", minLength: 2, maxLength: 40 },
+    age: { type: "number", min: 0, max: 150 },
+    role: { type: "string", enum: ["admin", "member"] },
+    nickname: { type: "string" },
+    tags: { type: "array", items: { type: "string", maxLength: 10 } },
+    address: { type: "object", properties: { requiredProperties: ["street"], street: { type: "string" }, zip: { type: "string" } } },
+};
+
+const after = {
+    requiredProperties: ["id", "name", "email"],
+    id: { type: "string", pattern: "^USR-\\d+$" },
+    name: { type: "string", minLength: 3, maxLength: 60 },
+    age: { type: "number", min: 18, nullable: true },
+    role: { type: "string", enum: ["admin", "member", "guest"] },
+    email: { type: "string", format: "email" },
+    tags: { type: "array", items: { type: "number", maxLength: 10 } },
+    address: { type: "object", properties: { street: { type: "string" }, zip: { type: "string" } } },
+};
+
+describe("SchemaDiff", () => {
+    let altoMare;
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+    });
+
+    it("classifies structured changes as breaking or not", () => {
+        const { breaking, changes } = altoMare.diff(before, after);
+        const summary = changes.map(({ kind, path, keyword, breaking: isBreaking }) =>
+            [kind, path, keyword, isBreaking].filter(part => part !== undefined).join(" "));
+
+        expect(breaking).to.equal(true);
+        expect(summary).to.deep.equal([
+            "constraintChanged /id pattern true",
+            "constraintChanged /name minLength true",
+            "constraintChanged /name maxLength false",
+            "nullableChanged /age false",
+            "constraintChanged /age min true",
+            "constraintRemoved /age max false",
+            "constraintChanged /role enum false",
+            "propertyRemoved /nickname true",
+            "typeChanged /tags/* true",
+            "requiredRemoved /address/street false",
+            "propertyAdded /email false",
+            "requiredAdded /email true",
+        ]);
+        expect(changes[1]).to.include({ before: 2, after: 3 });
+    });
+
+    it("reports loosened schemas as non-breaking", () => {
+        const { breaking, changes } = altoMare.diff(after, { ...after, requiredProperties: ["id"], age: { type: "number", nullable: true } });
+
+        expect(breaking).to.equal(false);
+        expect(changes.map(({ kind, path }) => `${kind} ${path}`)).to.deep.equal([
+            "constraintRemoved /age", "requiredRemoved /name", "requiredRemoved /email",
+        ]);
+    });
+
+    it("detects new dependencies, conditions and nested object constraints", () => {
+        const base = { country: { type: "string" }, zip: { type: "string" }, meta: { type: "object" } };
+        const { changes } = altoMare.diff(base, {
+            ...base,
+            meta: { type: "object", properties: { source: { type: "string" } } },
+            dependentRequired: { zip: ["country"] },
+            if: { country: { enum: ["US"] } },
+            then: { zip: { pattern: "^\\d{5}$" } },
+        });
+
+        expect(changes.map(({ kind, path, keyword }) => `${kind} ${path} ${keyword}`)).to.deep.equal([
+            "constraintAdded /meta properties",
+            "dependentRequiredAdded /country zip",
+            "conditionChanged  if",
+            "conditionChanged  then",
+        ]);
+        expect(changes.every(change => change.breaking)).to.equal(true);
+    });
+
+    it("treats widened numeric types as non-breaking", () => {
+        const { changes } = altoMare.diff(
+            { count: { type: "integer" }, ratio: { type: "finite" }, total: { type: "number" } },
+            { count: { type: "number" }, ratio: { type: "number" }, total: { type: "integer" } }
+        );
+
+        expect(changes.map(({ path, breaking }) => `${path} ${breaking}`)).to.deep.equal([
+            "/count false", "/ratio false", "/total true",
+        ]);
+    });
+
+    it("compares composition branches", () => {
+        const string = { type: "string" };
+        const { changes } = altoMare.diff(
+            {
+                id: { anyOf: [string, { type: "number" }] },
+                code: { allOf: [{ type: "string", maxLength: 5 }, { type: "string", minLength: 2 }] },
+                value: { oneOf: [string, { type: "number" }] },
+            },
+            {
+                id: { anyOf: [string, { type: "number" }, { type: "boolean" }] },
+                code: { allOf: [{ type: "string", maxLength: 8 }] },
+                value: { oneOf: [string, { type: "integer" }] },
+            }
+        );
+
+        expect(changes.map(({ kind, path, breaking }) => `${kind} ${path} ${breaking}`)).to.deep.equal([
+            "branchAdded /id/anyOf/2 false",
+            "constraintChanged /code/allOf/0 false",
+            "branchRemoved /code/allOf/1 false",
+            "branchChanged /value/oneOf/1 true",
+        ]);
+        expect(altoMare.diff({ id: { anyOf: [string, { type: "number" }] } }, { id: { anyOf: [string] } }).breaking).to.equal(true);
+        expect(altoMare.diff({ id: { allOf: [string] } }, { id: { allOf: [string, { minLength: 1 }] } }).breaking).to.equal(true);
+    });
+
+    it("treats declaring the first property of an open schema as breaking", () => {
+        const diff = altoMare.diff(
+            { meta: { type: "object", properties: {} } },
+            { meta: { type: "object", properties: { source: { type: "string" } } } }
+        );
+
+        expect(diff.changes.map(({ kind, path, breaking }) => `${kind} ${path} ${breaking}`)).to.deep.equal([
+            "propertiesClosed /meta true",
+            "propertyAdded /meta/source false",
+        ]);
+        expect(altoMare.formatDiff(diff)).to.include("/meta: unknown properties are no longer allowed");
+    });
+
+    it("compares registered schemas and versions by name", () => {
+        altoMare.register("user", before, { version: 1 });
+        altoMare.register("user", after, { version: 2 });
+        altoMare.register("same", before);
+
+        expect(altoMare.diff(altoMare.getVersion("user", 1), "user").changes).to.have.lengthOf(12);
+        expect(altoMare.diff("same", before)).to.deep.equal({ breaking: false, changes: [] });
+    });
+
+    it("formats a human-readable report", () => {
+        const diff = altoMare.diff(
+            { requiredProperties: ["id"], id: { type: "string" }, age: { type: "number", max: 99 } },
+            { requiredProperties: ["id", "age"], id: { type: "number" }, age: { type: "number", max: 120 }, note: { type: "string" } }
+        );
+
+        expect(altoMare.formatDiff(diff)).to.equal([
+            "Breaking changes:",
+            "  /id: type changed from string to number",
+            "  /age: property is now required",
+            "Non-breaking changes:",
+            "  /age: max loosened from 99 to 120",
+            "  /note: property added",
+        ].join("\n"));
+        expect(altoMare.formatDiff({ breaking: false, changes: [] })).to.equal("No changes");
+    });
+});
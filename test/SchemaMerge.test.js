@@ -0,0 +1,109 @@
+import { expect } from "chai";
+import AltoMare from "../AltoMare/AltoMare.js";
+import { mergeSchemas } from "../AltoMare/SchemaMerge.js";
+
+describe("SchemaMerge", () => {
+    describe("mergeSchemas", () => {
+        it("merges nested rules instead of replacing them", () => {
+            const merged = mergeSchemas(
+                { username: { type: "string", minLength: 3, maxLength: 20 } },
+                { username: { minLength: 5 } }
+            );
+            expect(merged.username).to.deep.equal({ type: "string", minLength: 5, maxLength: 20 });
+        });
+
+        it("concatenates requiredProperties without duplicates", () => {
+            const merged = mergeSchemas({ requiredProperties: ["id", "name"] }, { requiredProperties: ["name", "email"] });
+            expect(merged.requiredProperties).to.deep.equal(["id", "name", "email"]);
+        });
+
+        it("removes keys listed in $unset at any level", () => {
+            const merged = mergeSchemas(
+                { requiredProperties: ["id", "legacy"], id: { type: "string", pattern: "^a" }, legacy: { type: "number" } },
+                { $unset: ["legacy"], id: { $unset: ["pattern"] } }
+            );
+            expect(merged).to.deep.equal({ requiredProperties: ["id"], id: { type: "string" } });
+        });
+
+        it("drops $unset from overrides the base has nothing to merge with", () => {
+            const merged = mergeSchemas(
+                { id: { type: "string" } },
+                { address: { type: "object", $unset: ["city"], street: { type: "string", $unset: ["pattern"] } },
+                  point: { type: "tuple", items: [{ type: "number", $unset: ["min"] }] } }
+            );
+            expect(merged).to.deep.equal({
+                id: { type: "string" },
+                address: { type: "object", street: { type: "string" } },
+                point: { type: "tuple", items: [{ type: "number" }] },
+            });
+        });
+
+        it("replaces arrays and leaves its inputs untouched", () => {
+            const base = { role: { type: "string", enum: ["a", "b"] } };
+            const merged = mergeSchemas(base, { role: { enum: ["c"] } });
+            expect(merged.role.enum).to.deep.equal(["c"]);
+            expect(base.role.enum).to.deep.equal(["a", "b"]);
+        });
+    });
+
+    describe("templates", () => {
+        let altoMare;
+
+        beforeEach(() => {
+            altoMare = new AltoMare("silent");
+            altoMare.loadTemplates({
+                entity: { requiredProperties: ["id"], id: { type: "string" } },
+                user: {
+                    extends: "entity",
+                    requiredProperties: ["username"],
+                    username: { type: "string", minLength: 3 },
+                },
+            });
+        });
+
+        it("accepts JSON strings and adds to the loaded templates", () => {
+            altoMare.loadTemplates(JSON.stringify({ admin: { extends: "user", level: { type: "number" } } }));
+
+            expect(altoMare.getTemplate("admin")).to.deep.equal({
+                requiredProperties: ["id", "username"],
+                id: { type: "string" },
+                username: { type: "string", minLength: 3 },
+                level: { type: "number" },
+            });
+            expect(altoMare.getTemplate("entity")).to.have.property("id");
+        });
+
+        it("resolves multiple parents in order", () => {
+            altoMare.loadTemplates({
+                timestamped: { createdAt: { type: "string" }, username: { minLength: 1 } },
+                account: { extends: ["user", "timestamped"] },
+            });
+
+            const account = altoMare.getTemplate("account");
+            expect(account.username).to.deep.equal({ type: "string", minLength: 1 });
+            expect(account).to.have.property("createdAt");
+            expect(account).to.not.have.property("extends");
+        });
+
+        it("deep merges overrides in registerFromTemplate", () => {
+            altoMare.registerFromTemplate("member", "user", { username: { maxLength: 10 } });
+            altoMare.registerFromTemplate("plainUser", "user");
+
+            expect(altoMare.get("member").username).to.deep.equal({ type: "string", minLength: 3, maxLength: 10 });
+            expect(altoMare.validate("member", { id: "1", username: "ab" })).to.equal(false);
+            expect(altoMare.validate("plainUser", { id: "1", username: "abc" })).to.equal(true);
+        });
+
+        it("rejects inheritance cycles and keeps the previous templates", () => {
+            expect(() => altoMare.loadTemplates({ entity: { extends: "user" } }))
+                .to.throw("Template inheritance cycle: entity -> user -> entity");
+            expect(altoMare.getTemplate("user").requiredProperties).to.deep.equal(["id", "username"]);
+        });
+
+        it("reports unknown parents when resolving", () => {
+            altoMare.loadTemplates({ orphan: { extends: "missing" } });
+            expect(() => altoMare.getTemplate("orphan")).to.throw("Template 'orphan' extends unknown template 'missing'");
+            expect(() => altoMare.getTemplate("missing")).to.throw("Template 'missing' not found");
+        });
+    });
+});
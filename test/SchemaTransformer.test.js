@@ -0,0 +1,90 @@
+import { expect } from "chai";
+import AltoMare, { ValidationError } from "../AltoMare/AltoMare.js";
+
+describe("SchemaTransformer parsing", () => {
+    let altoMare;
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+        altoMare.register("signup", {
+            requiredProperties: ["email", "age"],
+            email: { type: "string", trim: true, lowercase: true, minLength: 5 },
+            age: { type: "number", min: 13 },
+            newsletter: { type: "boolean", default: false },
+            roles: { type: "array", items: { type: "string", uppercase: true }, default: () => ["member"] },
+            birthday: { type: "date" },
+            profile: {
+                type: "object",
+                properties: { bio: { type: "string", trim: true, default: "" } },
+            },
+        });
+    });
+
+    it("fills defaults and applies string transforms without mutating the input", () => {
+        const input = { email: "  Ann@Example.COM ", age: 20, profile: {} };
+        const { valid, data } = altoMare.parse("signup", input);
+
+        expect(valid).to.equal(true);
+        expect(data).to.deep.equal({
+            email: "ann@example.com",
+            age: 20,
+            newsletter: false,
+            roles: ["MEMBER"],
+            profile: { bio: "" },
+        });
+        expect(input).to.deep.equal({ email: "  Ann@Example.COM ", age: 20, profile: {} });
+    });
+
+    it("coerces strings only when asked to", () => {
+        const input = { email: "ann@example.com", age: "42", newsletter: "TRUE", birthday: "2000-01-31" };
+
+        expect(altoMare.parse("signup", input).valid).to.equal(false);
+
+        const { valid, data } = altoMare.parse("signup", input, { coerce: true });
+        expect(valid).to.equal(true);
+        expect(data.age).to.equal(42);
+        expect(data.newsletter).to.equal(true);
+        expect(data.birthday).to.be.instanceOf(Date);
+        expect(data.birthday.toISOString()).to.equal("2000-01-31T00:00:00.000Z");
+    });
+
+    it("leaves values that cannot be coerced for validation to report", () => {
+        const { errors, data } = altoMare.parse("signup", { email: "ann@example.com", age: "old" }, { coerce: true });
+        expect(data.age).to.equal("old");
+        expect(errors[0]).to.include({ code: "type", path: "/age", actual: "old" });
+    });
+
+    it("strips unknown properties by default", () => {
+        const { valid, data } = altoMare.parse("signup", { email: "ann@example.com", age: 20, admin: true });
+        expect(valid).to.equal(true);
+        expect(data).to.not.have.property("admin");
+    });
+
+    it("keeps unknown properties or reports them on request", () => {
+        const input = { email: "ann@example.com", age: 20, admin: true };
+
+        const kept = altoMare.parse("signup", input, { unknown: "keep" });
+        expect(kept.valid).to.equal(true);
+        expect(kept.data.admin).to.equal(true);
+
+        const rejected = altoMare.parse("signup", input, { unknown: "error" });
+        expect(rejected.errors[0]).to.include({ code: "unknownProperty", path: "/admin" });
+    });
+
+    it("cleans referenced schemas and picks the matching union branch", () => {
+        altoMare.register("tag", { label: { type: "string", trim: true } });
+        altoMare.register("post", {
+            tag: { ref: "tag" },
+            id: { anyOf: [{ type: "number" }, { type: "string", trim: true, minLength: 1 }] },
+        });
+
+        const { data } = altoMare.parse("post", { tag: { label: " news ", extra: 1 }, id: " a1 " });
+        expect(data).to.deep.equal({ tag: { label: "news" }, id: "a1" });
+    });
+
+    it("throws a ValidationError in strict mode", () => {
+        const strict = new AltoMare("strict");
+        strict.register("signup", { age: { type: "number" } });
+        expect(() => strict.parse("signup", { age: "x" }, { coerce: true })).to.throw(ValidationError);
+    });
+});
@@ -0,0 +1,452 @@
+import { expect } from "chai";
+import AltoMare, { ValidationError } from "../AltoMare/AltoMare.js";
+
+const userSchema = {
+    requiredProperties: ["name", "age"],
+    name: { type: "string", minLength: 2 },
+    age: { type: "number", min: { value: 0, message: "Age cannot be negative" } },
+    address: {
+        type: "object",
+        properties: {
+            requiredProperties: ["street"],
+            street: { type: "string" },
+        },
+    },
+    tags: { type: "array", items: { type: "string" } },
+};
+
+describe("SchemaValidator detailed results", () => {
+    let altoMare;
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+        altoMare.register("user", userSchema);
+    });
+
+    it("returns a valid result without errors", () => {
+        const result = altoMare.validateDetailed("user", { name: "Ann", age: 30 });
+        expect(result).to.deep.equal({ valid: true, errors: [] });
+    });
+
+    it("reports missing required properties", () => {
+        const { valid, errors } = altoMare.validateDetailed("user", { name: "Ann" });
+        expect(valid).to.equal(false);
+        expect(errors).to.deep.equal([{
+            code: "required",
+            path: "/age",
+            message: "Required property 'age' is missing",
+            expected: "age",
+            actual: undefined,
+        }]);
+    });
+
+    it("reports type, rule and unknown property errors with JSON pointer paths", () => {
+        const { errors } = altoMare.validateDetailed("user", {
+            name: "A",
+            age: -1,
+            nickname: "x",
+            address: { city: "Oslo" },
+            tags: ["a", 2],
+        });
+
+        expect(errors.map(error => [error.code, error.path])).to.deep.equal([
+            ["unknownProperty", "/nickname"],
+            ["minLength", "/name"],
+            ["min", "/age"],
+            ["required", "/address/street"],
+            ["unknownProperty", "/address/city"],
+            ["type", "/tags/1"],
+        ]);
+
+        const ageError = errors.find(error => error.path === "/age");
+        expect(ageError).to.include({ message: "Age cannot be negative", expected: 0, actual: -1 });
+    });
+
+    it("escapes JSON pointer tokens", () => {
+        altoMare.register("odd", { "a/b": { type: "string" } });
+        const { errors } = altoMare.validateDetailed("odd", { "a/b": 1 });
+        expect(errors[0].path).to.equal("/a~1b");
+    });
+
+    it("reports non-object data as a type error", () => {
+        const { errors } = altoMare.validateDetailed("user", ["not", "an", "object"]);
+        expect(errors[0]).to.include({ code: "type", path: "", expected: "object" });
+    });
+
+    it("keeps validate returning a boolean", () => {
+        expect(altoMare.validate("user", { name: "Ann", age: 30 })).to.equal(true);
+        expect(altoMare.validate("user", { name: "Ann" })).to.equal(false);
+    });
+
+    it("throws a ValidationError in strict mode", () => {
+        const strict = new AltoMare("strict");
+        strict.register("user", userSchema);
+
+        expect(() => strict.validate("user", { name: "Ann" }))
+            .to.throw(ValidationError)
+            .with.property("errors")
+            .that.has.lengthOf(1);
+        expect(strict.validate("user", { name: "Ann", age: 1 })).to.equal(true);
+    });
+});
+
+describe("SchemaValidator async validation", () => {
+    const delay = (ms, value) => new Promise(resolve => setTimeout(resolve, ms, value));
+    let altoMare;
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+        altoMare.registerValidators({
+            available: (value, taken) => delay(10, !taken.includes(value)),
+            slow: (value, ms, { signal }) => new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, ms, true);
+                signal?.addEventListener("abort", () => {
+                    clearTimeout(timer);
+                    reject(signal.reason);
+                });
+            }),
+        });
+        altoMare.register("signup", {
+            requiredProperties: ["username"],
+            username: { type: "string", minLength: 3, available: ["admin", "root"] },
+            email: { type: "string", available: { value: ["a@b.c"], message: "Email already registered" } },
+        });
+    });
+
+    it("awaits asynchronous rules", async () => {
+        const result = await altoMare.validateAsync("signup", { username: "admin", email: "a@b.c" });
+        expect(result.valid).to.equal(false);
+        expect(result.errors.map(error => [error.code, error.path, error.message])).to.deep.equal([
+            ["available", "/username", "available validation failed"],
+            ["available", "/email", "Email already registered"],
+        ]);
+    });
+
+    it("keeps sync and async errors in schema order", async () => {
+        const { errors } = await altoMare.validateAsync("signup", { username: "ad", extra: true });
+        expect(errors.map(error => error.code)).to.deep.equal(["unknownProperty", "minLength"]);
+    });
+
+    it("runs independent rules concurrently", async () => {
+        altoMare.register("pair", { a: { slow: 100 }, b: { slow: 100 } });
+        const started = Date.now();
+        await altoMare.validateAsync("pair", { a: 1, b: 2 });
+        expect(Date.now() - started).to.be.below(190);
+    });
+
+    it("refuses asynchronous rules on the synchronous path", () => {
+        expect(() => altoMare.validate("signup", { username: "someone" })).to.throw(/use validateAsync/);
+    });
+
+    it("validates sync-only schemas with validateAsync too", async () => {
+        altoMare.register("plain", { name: { type: "string" } });
+        expect(await altoMare.validateAsync("plain", { name: 1 }))
+            .to.have.property("valid", false);
+        expect(altoMare.validate("plain", { name: "ok" })).to.equal(true);
+    });
+
+    it("cancels through an AbortSignal", async () => {
+        altoMare.register("pending", { a: { slow: 1000 } });
+        const controller = new AbortController();
+        const validation = altoMare.validateAsync("pending", { a: 1 }, { signal: controller.signal });
+        controller.abort(new Error("cancelled"));
+
+        let caught;
+        try {
+            await validation;
+        } catch (error) {
+            caught = error;
+        }
+        expect(caught).to.have.property("message", "cancelled");
+    });
+
+    it("rejects with a ValidationError in strict mode", async () => {
+        const strict = new AltoMare("strict");
+        strict.registerValidators({ available: async (value) => value !== "admin" });
+        strict.register("signup", { username: { available: true } });
+
+        let caught;
+        try {
+            await strict.validateAsync("signup", { username: "admin" });
+        } catch (error) {
+            caught = error;
+        }
+        expect(caught).to.be.instanceOf(ValidationError);
+    });
+});
+
+describe("SchemaValidator references and composition", () => {
+    let altoMare;
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+        altoMare.register("address", {
+            requiredProperties: ["street"],
+            street: { type: "string" },
+        });
+        altoMare.register("person", {
+            requiredProperties: ["name"],
+            name: { type: "string" },
+            home: { ref: "address" },
+            friends: { type: "array", items: { ref: "person" } },
+            spouse: { ref: "person", nullable: true },
+        });
+    });
+
+    it("validates values against referenced schemas", () => {
+        const { errors } = altoMare.validateDetailed("person", {
+            name: "Ann",
+            home: { city: "Oslo" },
+            friends: [{ name: 1 }],
+        });
+        expect(errors.map(error => [error.code, error.path])).to.deep.equal([
+            ["required", "/home/street"],
+            ["unknownProperty", "/home/city"],
+            ["type", "/friends/0/name"],
+        ]);
+    });
+
+    it("handles cyclic data through recursive references", () => {
+        const ann = { name: "Ann", friends: [] };
+        const bob = { name: "Bob", friends: [ann], spouse: ann };
+        ann.friends.push(bob);
+        ann.spouse = bob;
+
+        expect(altoMare.validate("person", ann)).to.equal(true);
+        bob.name = 42;
+        expect(altoMare.validateDetailed("person", ann).errors[0].path).to.equal("/friends/0/name");
+    });
+
+    it("accepts null only for nullable rules", () => {
+        expect(altoMare.validate("person", { name: "Ann", spouse: null })).to.equal(true);
+        expect(altoMare.validate("person", { name: "Ann", home: null })).to.equal(false);
+    });
+
+    it("reports which anyOf branches failed", () => {
+        altoMare.register("id", { value: { anyOf: [{ type: "number", min: 1 }, { type: "string", minLength: 3 }] } });
+
+        expect(altoMare.validate("id", { value: 5 })).to.equal(true);
+        expect(altoMare.validate("id", { value: "abc" })).to.equal(true);
+
+        const [error] = altoMare.validateDetailed("id", { value: "x" }).errors;
+        expect(error).to.include({ code: "anyOf", path: "/value" });
+        expect(error.branches.map(branch => [branch.index, branch.errors[0].code])).to.deep.equal([
+            [0, "type"],
+            [1, "minLength"],
+        ]);
+    });
+
+    it("requires exactly one oneOf branch to match", () => {
+        altoMare.register("amount", { value: { oneOf: [{ type: "number", max: 10 }, { type: "number", min: 5 }] } });
+
+        expect(altoMare.validate("amount", { value: 1 })).to.equal(true);
+        const [error] = altoMare.validateDetailed("amount", { value: 7 }).errors;
+        expect(error).to.include({ code: "oneOf" });
+        expect(error.matched).to.deep.equal([0, 1]);
+    });
+
+    it("requires every allOf branch to match", () => {
+        altoMare.register("money", {
+            amount: { allOf: [{ type: "number" }, { min: 0 }, { max: 100 }] },
+        });
+
+        const [error] = altoMare.validateDetailed("money", { amount: 150 }).errors;
+        expect(error.code).to.equal("allOf");
+        expect(error.branches.map(branch => branch.index)).to.deep.equal([2]);
+        expect(error.message).to.match(/branch 2/);
+    });
+
+    it("settles asynchronous branches", async () => {
+        altoMare.registerValidators({ slowEven: async value => value % 2 === 0 });
+        altoMare.register("even", { value: { anyOf: [{ slowEven: true }, { type: "string" }] } });
+
+        expect((await altoMare.validateAsync("even", { value: 4 })).valid).to.equal(true);
+        expect((await altoMare.validateAsync("even", { value: 3 })).errors[0].code).to.equal("anyOf");
+    });
+});
+
+describe("SchemaValidator cross-field and conditional rules", () => {
+    let altoMare;
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+        altoMare.register("account", {
+            requiredProperties: ["type"],
+            type: { type: "string", enum: ["person", "company"] },
+            vatNumber: { type: "string" },
+            birthDate: { type: "string" },
+            email: { type: "string" },
+            emailVerified: { type: "boolean" },
+            phone: { type: "string" },
+            password: { type: "string" },
+            passwordConfirm: { type: "string" },
+            if: { type: { enum: ["company"] } },
+            then: { requiredProperties: ["vatNumber"] },
+            else: { requiredProperties: ["birthDate"] },
+            dependentRequired: { email: ["emailVerified"] },
+            checks: [
+                data => data.password === data.passwordConfirm
+                    || { property: "passwordConfirm", code: "matches", message: "Passwords do not match" },
+                data => "email" in data || "phone" in data,
+            ],
+        });
+    });
+
+    it("applies then and else branches", () => {
+        expect(altoMare.validate("account", { type: "company", vatNumber: "NO1", phone: "1" })).to.equal(true);
+        expect(altoMare.validate("account", { type: "person", birthDate: "2000-01-01", phone: "1" })).to.equal(true);
+
+        const company = altoMare.validateDetailed("account", { type: "company", phone: "1" });
+        expect(company.errors.map(error => [error.code, error.path])).to.deep.equal([["required", "/vatNumber"]]);
+
+        const person = altoMare.validateDetailed("account", { type: "person", phone: "1" });
+        expect(person.errors.map(error => [error.code, error.path])).to.deep.equal([["required", "/birthDate"]]);
+    });
+
+    it("requires dependent properties", () => {
+        const { errors } = altoMare.validateDetailed("account", { type: "company", vatNumber: "NO1", email: "a@b.c" });
+        expect(errors).to.deep.equal([{
+            code: "dependentRequired",
+            path: "/emailVerified",
+            message: "Property 'emailVerified' is required when 'email' is present",
+            expected: "emailVerified",
+            actual: undefined,
+        }]);
+    });
+
+    it("attributes object check failures to fields", () => {
+        const { errors } = altoMare.validateDetailed("account", {
+            type: "company",
+            vatNumber: "NO1",
+            password: "secret",
+            passwordConfirm: "secrets",
+        });
+        expect(errors.map(error => [error.code, error.path, error.message])).to.deep.equal([
+            ["matches", "/passwordConfirm", "Passwords do not match"],
+            ["check", "", "Object check failed"],
+        ]);
+    });
+
+    it("passes the object path to nested checks", () => {
+        const seen = [];
+        altoMare.register("booking", {
+            stay: {
+                type: "object",
+                properties: {
+                    start: { type: "number" },
+                    end: { type: "number" },
+                    checks: [(stay, { path }) => {
+                        seen.push(path);
+                        return stay.end > stay.start || [{ property: "end", code: "after", expected: stay.start }];
+                    }],
+                },
+            },
+        });
+
+        const [error] = altoMare.validateDetailed("booking", { stay: { start: 5, end: 2 } }).errors;
+        expect(seen).to.deep.equal(["/stay"]);
+        expect(error).to.include({ code: "after", path: "/stay/end", expected: 5, actual: 2 });
+    });
+
+    it("awaits asynchronous checks", async () => {
+        altoMare.register("slow", {
+            name: { type: "string" },
+            checks: [async data => data.name !== "taken" || { property: "name", code: "unique" }],
+        });
+
+        expect(() => altoMare.validate("slow", { name: "x" })).to.throw(/validateAsync/);
+        const { errors } = await altoMare.validateAsync("slow", { name: "taken" });
+        expect(errors[0]).to.include({ code: "unique", path: "/name" });
+    });
+});
+
+describe("SchemaValidator partial and path-scoped validation", () => {
+    let altoMare;
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+        altoMare.register("user", userSchema);
+        altoMare.register("geo", { requiredProperties: ["lat"], lat: { type: "number", min: -90, max: 90 } });
+        altoMare.register("place", {
+            requiredProperties: ["name", "location"],
+            name: { type: "string" },
+            location: { ref: "geo" },
+            visits: { type: "array", items: { type: "object", properties: { at: { type: "string", format: "date" } } } },
+            country: { type: "string" },
+            zip: { type: "string" },
+            dependentRequired: { zip: ["country"] },
+            if: { requiredProperties: ["country"], country: { enum: ["US"] } },
+            then: { zip: { pattern: "^\\d{5}$" } },
+        });
+    });
+
+    describe("validatePartial", () => {
+        it("skips required checks for absent keys at every level", () => {
+            expect(altoMare.validatePartial("user", { age: 3 })).to.deep.equal({ valid: true, errors: [] });
+            expect(altoMare.validatePartial("user", { address: {} }).valid).to.equal(true);
+            expect(altoMare.validatePartial("place", { zip: "1234" }).valid).to.equal(true);
+        });
+
+        it("still applies field rules and rejects unknown keys", () => {
+            const { errors } = altoMare.validatePartial("user", { age: -1, nickname: "x", address: { street: 1 } });
+            expect(errors.map(error => `${error.code} ${error.path}`)).to.deep.equal([
+                "unknownProperty /nickname",
+                "min /age",
+                "type /address/street",
+            ]);
+        });
+
+        it("skips object-level checks that need fields the patch does not carry", () => {
+            altoMare.register("account", {
+                password: { type: "string", minLength: 8 },
+                passwordConfirm: { type: "string" },
+                checks: [data => data.password === data.passwordConfirm || { property: "passwordConfirm", code: "matches" }],
+            });
+
+            expect(altoMare.validatePartial("account", { password: "new-secret" })).to.deep.equal({ valid: true, errors: [] });
+            const { errors } = altoMare.validatePartial("account", { password: "short" });
+            expect(errors.map(error => error.code)).to.deep.equal(["minLength"]);
+            expect(altoMare.validate("account", { password: "new-secret" })).to.equal(false);
+        });
+
+        it("only applies conditional branches the patch actually matches", () => {
+            expect(altoMare.validatePartial("place", { country: "US", zip: "1234" }).errors[0].code).to.equal("pattern");
+            expect(altoMare.validatePartial("place", { country: "NO", zip: "1234" }).valid).to.equal(true);
+        });
+    });
+
+    describe("validateAt", () => {
+        it("validates a single nested field with its full path", () => {
+            expect(altoMare.validateAt("user", "address.street", "Main St").valid).to.equal(true);
+            expect(altoMare.validateAt("user", "age", -5).errors).to.deep.equal([{
+                code: "min", path: "/age", message: "Age cannot be negative", expected: 0, actual: -5,
+            }]);
+        });
+
+        it("resolves array items and references", () => {
+            expect(altoMare.validateAt("user", "tags[2]", 7).errors[0]).to.include({ code: "type", path: "/tags/2" });
+            expect(altoMare.validateAt("place", "visits.0.at", "2024-13-01").errors[0]).to.include({ code: "format", path: "/visits/0/at" });
+            expect(altoMare.validateAt("place", "location.lat", 91).errors[0]).to.include({ code: "max", path: "/location/lat" });
+            expect(altoMare.validateAt("place", "location", {}).errors[0]).to.include({ code: "required", path: "/location/lat" });
+        });
+
+        it("reports a missing value for required fields", () => {
+            expect(altoMare.validateAt("place", "location.lat", undefined).errors[0]).to.include({ code: "required", path: "/location/lat" });
+            expect(altoMare.validateAt("user", "address.street", undefined).errors[0]).to.include({ code: "required" });
+            expect(altoMare.validateAt("user", "tags", undefined).valid).to.equal(true);
+        });
+
+        it("rejects paths outside the schema", () => {
+            expect(() => altoMare.validateAt("user", "address.city", "Oslo"))
+                .to.throw("Path 'address.city' does not exist in schema 'user'");
+            expect(() => altoMare.validateAt("user", "name.first", "Ada")).to.throw("does not exist");
+            expect(() => altoMare.validateAt("user", "requiredProperties", [])).to.throw("does not exist");
+        });
+
+        it("throws a ValidationError in strict mode", () => {
+            const strict = new AltoMare("strict");
+            strict.register("user", userSchema);
+            expect(() => strict.validateAt("user", "name", "A")).to.throw(ValidationError);
+        });
+    });
+});
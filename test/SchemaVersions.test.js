@@ -0,0 +1,77 @@
+import { expect } from "chai";
+import AltoMare, { ValidationError } from "../AltoMare/AltoMare.js";
+
+describe("SchemaVersions", () => {
+    let altoMare;
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+        altoMare.register("settings", { volume: { type: "number" } }, { version: 1 });
+        altoMare.register("settings", {
+            requiredProperties: ["audio"],
+            audio: { type: "object", properties: { volume: { type: "number" }, muted: { type: "boolean" } } },
+        }, { version: 2 });
+        altoMare.register("settings", {
+            requiredProperties: ["audio", "theme"],
+            audio: { type: "object", properties: { volume: { type: "number", max: 1 }, muted: { type: "boolean" } } },
+            theme: { type: "string", enum: ["light", "dark"] },
+        }, { version: 3 });
+
+        altoMare.registerMigration("settings", 1, 2, data => ({ $version: 1, audio: { volume: data.volume, muted: false } }));
+        altoMare.registerMigration("settings", 2, 3, data => {
+            data.audio.volume /= 100;
+            data.theme = "light";
+        });
+    });
+
+    it("keeps the latest version as the active schema", () => {
+        expect(altoMare.getVersions("settings")).to.deep.equal([1, 2, 3]);
+        expect(altoMare.get("settings")).to.equal(altoMare.getVersion("settings", 3));
+        expect(altoMare.getVersion("settings", 1)).to.have.property("volume");
+    });
+
+    it("chains migrations up to the latest version", () => {
+        const stored = { $version: 1, volume: 80 };
+        const upgraded = altoMare.upgrade("settings", stored);
+
+        expect(upgraded).to.deep.equal({ $version: 3, audio: { volume: 0.8, muted: false }, theme: "light" });
+        expect(stored).to.deep.equal({ $version: 1, volume: 80 });
+    });
+
+    it("leaves data that is already current untouched", () => {
+        const current = { $version: 3, audio: { volume: 0.5 }, theme: "dark" };
+        expect(altoMare.upgrade("settings", current)).to.deep.equal(current);
+    });
+
+    it("rejects migrated data that fails the latest schema", () => {
+        expect(() => altoMare.upgrade("settings", { $version: 2, audio: { volume: "loud" } }))
+            .to.throw(ValidationError)
+            .with.property("errors")
+            .that.satisfies(errors => errors.some(error => error.path === "/audio/volume"));
+    });
+
+    it("explains missing versions and migration paths", () => {
+        expect(() => altoMare.upgrade("settings", { volume: 1 })).to.throw(/missing '\$version'/);
+        expect(() => altoMare.upgrade("settings", { $version: "1" })).to.throw(TypeError, /'\$version' must be a number, got string "1"/);
+        expect(() => altoMare.upgrade("settings", { $version: 0 })).to.throw(/unknown version 0 \(registered: 1, 2, 3\)/);
+
+        altoMare.register("settings", { theme: { type: "string" } }, { version: 4 });
+        expect(() => altoMare.upgrade("settings", { $version: 3 })).to.throw(/No migration path .* from version 3 to 4/);
+
+        altoMare.register("plain", { a: { type: "string" } });
+        expect(() => altoMare.upgrade("plain", { $version: 1 })).to.throw(/not versioned/);
+    });
+
+    it("supports a custom version key and skipping versions", () => {
+        altoMare.register("save", { level: { type: "number" } }, { version: 1, versionKey: "schema" });
+        altoMare.register("save", { schema: { type: "number" }, stage: { type: "number" } }, { version: 5 });
+        altoMare.registerMigration("save", 1, 5, ({ level }) => ({ stage: level }));
+
+        expect(altoMare.upgrade("save", { schema: 1, level: 4 })).to.deep.equal({ stage: 4, schema: 5 });
+    });
+
+    it("does not let an older version replace the latest schema", () => {
+        altoMare.register("settings", { legacy: { type: "string" } }, { version: 0 });
+        expect(altoMare.get("settings")).to.equal(altoMare.getVersion("settings", 3));
+    });
+});
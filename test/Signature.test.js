@@ -0,0 +1,101 @@
+import { expect } from "chai";
+import AltoMare from "../AltoMare/AltoMare.js";
+import SoulDew from "../SoulDew/SoulDew.js";
+
+describe("Signature", () => {
+    let altoMare;
+
+    beforeEach(() => {
+        altoMare = new AltoMare();
+        altoMare.register("point", { requiredProperties: ["x", "y"], x: { type: "number" }, y: { type: "number" } });
+    });
+
+    describe("checkParams", () => {
+        it("keeps exact arity for plain signatures", () => {
+            expect(altoMare.checkParams(["a", 1], ["string", "number"])).to.equal(true);
+            expect(() => altoMare.checkParams(["a"], ["string", "number"])).to.throw("Expected 2 parameters but got 1");
+            expect(() => altoMare.checkParams(["a", "b"], ["string", "number"]))
+                .to.throw("Parameter at index 1 failed type validation. Expected number, got string");
+        });
+
+        it("supports optional and defaulted parameters", () => {
+            expect(altoMare.checkParams(["a"], ["string", "number?", "boolean=true"])).to.equal(true);
+            expect(altoMare.checkParams(["a", undefined, false], ["string", "number?", "boolean=true"])).to.equal(true);
+            expect(() => altoMare.checkParams([], ["string", "number?"])).to.throw("Expected 1 to 2 parameters but got 0");
+            expect(() => altoMare.checkParams(["a", 1, 2], ["string", "number?"])).to.throw("Expected 1 to 2 parameters but got 3");
+        });
+
+        it("supports rest parameters and unions", () => {
+            expect(altoMare.checkParams(["a", 1, null, 3], ["string", "...number|null"])).to.equal(true);
+            expect(altoMare.checkParams(["a"], ["string", "...number"])).to.equal(true);
+            expect(() => altoMare.checkParams(["a", 1, "2"], ["string", "...number|null"]))
+                .to.throw("Parameter at index 2 failed type validation. Expected number|null, got string");
+            expect(() => altoMare.checkParams([1], ["...number", "string"])).to.throw("Only the last parameter may be a rest parameter");
+        });
+
+        it("accepts schema names as types", () => {
+            expect(altoMare.checkParams([{ x: 1, y: 2 }], ["point"])).to.equal(true);
+            expect(() => altoMare.checkParams([{ x: 1 }], ["point"])).to.throw("Expected point, got object");
+            expect(() => altoMare.checkParams([1], ["pint"])).to.throw("Unknown type 'pint'");
+        });
+    });
+
+    describe("guard", () => {
+        afterEach(() => {
+            AltoMare.guardsEnabled = true;
+        });
+
+        it("checks arguments, applies defaults and checks the return value", () => {
+            const scale = altoMare.guard(function scale(point, factor) {
+                return factor === 0 ? "zero" : { x: point.x * factor, y: point.y * factor };
+            }, { params: ["point", "number=2"], returns: "point" });
+
+            expect(scale.name).to.equal("scale");
+            expect(scale({ x: 1, y: 2 })).to.deep.equal({ x: 2, y: 4 });
+            expect(() => scale({ x: 1 }, 3)).to.throw("scale: Parameter at index 0 failed type validation");
+            expect(() => scale({ x: 1, y: 2 }, 0)).to.throw("scale: Return value failed type validation. Expected point, got string");
+        });
+
+        it("checks resolved values of promise return types", async () => {
+            const load = altoMare.guard(async id => (id > 0 ? "found" : null), { params: ["number"], returns: "Promise<string>" });
+
+            expect(await load(1)).to.equal("found");
+            let error;
+            await load(0).catch(caught => { error = caught; });
+            expect(error.message).to.equal("anonymous: Return value failed type validation. Expected string, got object");
+        });
+
+        it("keeps the receiver of methods", () => {
+            const counter = { count: 1 };
+            counter.add = altoMare.guard(function add(amount) {
+                return this.count + amount;
+            }, ["number"]);
+
+            expect(counter.add(2)).to.equal(3);
+        });
+
+        it("can be disabled globally", () => {
+            const identity = value => value;
+            const guarded = altoMare.guard(identity, ["string"]);
+
+            AltoMare.guardsEnabled = false;
+            expect(guarded(1)).to.equal(1);
+            expect(altoMare.guard(identity, ["string"])).to.equal(identity);
+        });
+    });
+
+    describe("SoulDew", () => {
+        it("accepts optional once and emitEvent arguments", () => {
+            const soulDew = new SoulDew();
+            const state = { count: 0 };
+            let calls = 0;
+
+            soulDew.on("ping", () => { calls++; }, true);
+            soulDew.observeState("counter", state);
+            soulDew.setState("counter", { count: 1 }, false);
+
+            expect(calls).to.equal(0);
+            expect(state.count).to.equal(1);
+        });
+    });
+});
@@ -0,0 +1,139 @@
+import { expect } from "chai";
+import { execFile } from "node:child_process";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { promisify } from "node:util";
+
+const execFileAsync = promisify(execFile);
+const cli = new URL("../bin/sora-validate.js", import.meta.url).pathname;
+
+async function run(args, input) {
+    const child = execFileAsync(process.execPath, [cli, ...args]);
+    if (input !== undefined) child.child.stdin.end(input);
+    try {
+        const { stdout } = await child;
+        return { code: 0, stdout };
+    } catch (error) {
+        return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+    }
+}
+
+describe("sora-validate CLI", () => {
+    let directory;
+    let schemas;
+
+    before(async () => {
+        directory = await mkdtemp(join(tmpdir(), "sora-validate-"));
+        schemas = join(directory, "schemas.json");
+
+        await writeFile(schemas, JSON.stringify({
+            templates: { entity: { requiredProperties: ["id"], id: { type: "string" } } },
+            schemas: {
+                user: { requiredProperties: ["id", "email"], id: { type: "string" }, email: { type: "string", format: "email" } },
+            },
+        }));
+        await writeFile(join(directory, "valid.json"), JSON.stringify({ id: "1", email: "ada@example.com" }));
+        await writeFile(join(directory, "invalid.json"), JSON.stringify({ email: "nope" }));
+        await writeFile(join(directory, "users.ndjson"), [
+            JSON.stringify({ id: "1", email: "ada@example.com" }),
+            "",
+            "{ broken",
+            JSON.stringify({ id: "3", email: "grace@example.com", age: 3 }),
+        ].join("\n"));
+    });
+
+    after(async () => {
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    it("prints path-annotated errors and exits non-zero on failure", async () => {
+        const { code, stdout } = await run(["--schemas", schemas, "--schema", "user",
+            join(directory, "valid.json"), join(directory, "invalid.json")]);
+
+        expect(code).to.equal(1);
+        expect(stdout).to.equal([
+            `${join(directory, "valid.json")}: valid`,
+            `${join(directory, "invalid.json")}: 2 errors`,
+            "  /id: Required property 'id' is missing",
+            "  /email: Value must be a valid email address",
+            "",
+        ].join("\n"));
+    });
+
+    it("exits with 0 when every record is valid", async () => {
+        const { code } = await run(["--schemas", schemas, "--schema", "user", join(directory, "valid.json")]);
+        expect(code).to.equal(0);
+    });
+
+    it("validates NDJSON records and reports JSON output", async () => {
+        const { code, stdout } = await run(["--schemas", schemas, "--schema", "user", "--output", "json",
+            join(directory, "users.ndjson")]);
+        const report = JSON.parse(stdout);
+
+        expect(code).to.equal(1);
+        expect(report.valid).to.equal(false);
+        expect(report.results.map(({ line, valid }) => [line, valid])).to.deep.equal([[1, true], [3, false], [4, false]]);
+        expect(report.results[1].errors[0].code).to.equal("parse");
+        expect(report.results[2].errors[0]).to.include({ code: "unknownProperty", path: "/age" });
+    });
+
+    it("reads standard input and custom validators from a module", async () => {
+        const validators = join(directory, "validators.mjs");
+        const moduleSchemas = join(directory, "schemas.mjs");
+        await writeFile(validators, "export const even = value => value % 2 === 0;\n");
+        await writeFile(moduleSchemas, "export default { schemas: { counter: { count: { type: \"number\", even: true } } } };\n");
+
+        const args = ["--schemas", moduleSchemas, "--validators", validators, "--schema", "counter", "--ndjson", "-"];
+        const { code, stdout } = await run(args, "{\"count\":2}\n{\"count\":3}\n");
+
+        expect(code).to.equal(1);
+        expect(stdout).to.equal("-:1: valid\n-:2: 1 error\n  /count: even validation failed\n");
+    });
+
+    it("refuses more than one AltoMare instance instead of dropping one", async () => {
+        const instance = name => [
+            `import AltoMare from ${JSON.stringify(new URL("../AltoMare/AltoMare.js", import.meta.url).href)};`,
+            "const altoMare = new AltoMare(\"silent\");",
+            `altoMare.register(${JSON.stringify(name)}, { id: { type: "string" } });`,
+            "export default altoMare;",
+        ].join("\n");
+        const first = join(directory, "one.mjs");
+        const second = join(directory, "two.mjs");
+        await writeFile(first, instance("one"));
+        await writeFile(second, instance("two"));
+
+        const { code, stderr } = await run(["--schemas", first, "--schemas", second, "--schema", "two",
+            join(directory, "valid.json")]);
+        expect(code).to.equal(2);
+        expect(stderr).to.contain("Only one schema source may export an AltoMare instance, got 2");
+
+        const single = await run(["--schemas", second, "--schemas", schemas, "--schema", "two",
+            join(directory, "valid.json")]);
+        expect(single.code).to.equal(1);
+        expect(single.stdout).to.contain("Unknown property 'email'");
+    });
+
+    it("reports unreadable files as failures and keeps going", async () => {
+        const missing = join(directory, "missing.json");
+        const { code, stdout } = await run(["--schemas", schemas, "--schema", "user",
+            missing, join(directory, "valid.json")]);
+
+        expect(code).to.equal(1);
+        expect(stdout).to.match(new RegExp(`^${missing}: 1 error\n  /: Cannot read file: ENOENT`));
+        expect(stdout).to.contain(`${join(directory, "valid.json")}: valid`);
+
+        const json = await run(["--schemas", schemas, "--schema", "user", "--output", "json", missing]);
+        expect(JSON.parse(json.stdout).results[0].errors[0].code).to.equal("read");
+    });
+
+    it("exits with 2 on usage and setup errors", async () => {
+        const usage = await run([join(directory, "valid.json")]);
+        expect(usage.code).to.equal(2);
+        expect(usage.stdout).to.contain("Usage: sora-validate");
+
+        const unknown = await run(["--schemas", schemas, "--schema", "missing", join(directory, "valid.json")]);
+        expect(unknown.code).to.equal(2);
+        expect(unknown.stderr).to.contain("Schema 'missing' not found");
+    });
+});
@@ -0,0 +1,288 @@
+import { expect } from "chai";
+import { EventEmitter } from "node:events";
+import SoulDew from "../SoulDew/SoulDew.js";
+import EventEmitterBridge from "../SoulDew/EventEmitterBridge.js";
+import EventTargetBridge from "../SoulDew/EventTargetBridge.js";
+
+describe("SoulDew", () => {
+    let soulDew;
+    let calls;
+
+    beforeEach(() => {
+        soulDew = new SoulDew();
+        calls = [];
+    });
+
+    const record = label => event => calls.push(`${label} ${event.type}`);
+
+    describe("patterns", () => {
+        it("matches a single segment with *", () => {
+            soulDew.on("stateChange:*", record("state"));
+            soulDew.emit("stateChange:player");
+            soulDew.emit("stateChange:player.stats");
+            soulDew.emit("stateChanged");
+
+            expect(calls).to.deep.equal(["state stateChange:player"]);
+        });
+
+        it("matches across segments with **", () => {
+            soulDew.on("net.**", record("net"));
+            soulDew.emit("net.socket.open");
+            soulDew.emit("net");
+            soulDew.emit("network.open");
+
+            expect(calls).to.deep.equal(["net net.socket.open"]);
+        });
+
+        it("delivers every event to onAny listeners", () => {
+            const listener = record("any");
+            soulDew.onAny(listener);
+            soulDew.emit("a");
+            soulDew.emit("b:c");
+            soulDew.offAny(listener);
+            soulDew.emit("d");
+
+            expect(calls).to.deep.equal(["any a", "any b:c"]);
+        });
+
+        it("removes pattern listeners with off", () => {
+            const listener = record("state");
+            soulDew.on("stateChange:*", listener);
+            soulDew.emit("stateChange:a");
+            soulDew.off("stateChange:*", listener);
+            soulDew.emit("stateChange:a");
+
+            expect(calls).to.deep.equal(["state stateChange:a"]);
+        });
+
+        it("treats other pattern characters literally", () => {
+            soulDew.on("price.(usd)*", record("price"));
+            soulDew.emit("price.(usd)total");
+            soulDew.emit("price.usd");
+
+            expect(calls).to.deep.equal(["price price.(usd)total"]);
+        });
+    });
+
+    describe("priorities", () => {
+        it("runs higher priorities first and keeps registration order within a priority", () => {
+            soulDew.on("save", record("first"));
+            soulDew.on("save", record("late"), { priority: -1 });
+            soulDew.on("save", record("urgent"), { priority: 10 });
+            soulDew.on("save", record("second"));
+
+            soulDew.emit("save");
+            expect(calls).to.deep.equal(["urgent save", "first save", "second save", "late save"]);
+        });
+
+        it("orders exact and pattern listeners together", () => {
+            soulDew.onAny(record("audit"), { priority: 100 });
+            soulDew.on("user:*", record("pattern"));
+            soulDew.on("user:login", record("exact"), { priority: 1 });
+
+            soulDew.emit("user:login");
+            expect(calls).to.deep.equal(["audit user:login", "exact user:login", "pattern user:login"]);
+        });
+
+        it("keeps the boolean once argument working", () => {
+            soulDew.on("ping", record("once"), true);
+            soulDew.on("user:*", record("pattern"), { once: true });
+            soulDew.emit("ping");
+            soulDew.emit("ping");
+            soulDew.emit("user:a");
+            soulDew.emit("user:b");
+
+            expect(calls).to.deep.equal(["once ping", "pattern user:a"]);
+        });
+
+        it("rejects priorities that are not finite numbers", () => {
+            expect(() => soulDew.on("save", () => {}, { priority: "high" })).to.throw(TypeError, /priority/);
+        });
+    });
+
+    describe("error isolation", () => {
+        const boom = () => {
+            throw new Error("boom");
+        };
+
+        it("keeps delivering after a listener throws and passes the failure to onError", () => {
+            const failures = [];
+            soulDew = new SoulDew({ onError: failure => failures.push(failure) });
+            soulDew.on("save", boom);
+            soulDew.on("save", record("after"));
+            soulDew.on("save", record("once"), true);
+
+            soulDew.emit("save");
+            soulDew.emit("save");
+
+            expect(calls).to.deep.equal(["after save", "once save", "after save"]);
+            expect(failures).to.have.length(2);
+            expect(failures[0]).to.include({ event: "save", listener: boom });
+            expect(failures[0].error.message).to.equal("boom");
+        });
+
+        it("emits failures on the error channel when there is no onError hook", () => {
+            soulDew.on("error", event => calls.push(`${event.detail.event}: ${event.detail.error.message}`));
+            soulDew.on("save", boom);
+            soulDew.emit("save");
+
+            expect(calls).to.deep.equal(["save: boom"]);
+        });
+
+        it("falls back to the host when nothing handles the error", () => {
+            const original = console.error;
+            const reported = [];
+            console.error = error => reported.push(error);
+            try {
+                soulDew.on("save", boom);
+                soulDew.on("error", boom);
+                soulDew.emit("save");
+            } finally {
+                console.error = original;
+            }
+
+            expect(reported.map(error => error.message)).to.deep.equal(["boom"]);
+        });
+
+        it("reports rejected promises from async listeners", async () => {
+            const failures = [];
+            soulDew = new SoulDew({ onError: failure => failures.push(failure.error.message) });
+            soulDew.on("save", async () => {
+                throw new Error("later");
+            });
+            soulDew.emit("save");
+
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(failures).to.deep.equal(["later"]);
+        });
+
+        it("rejects an onError option that is not a function", () => {
+            expect(() => new SoulDew({ onError: "log" })).to.throw(TypeError, /onError/);
+        });
+    });
+
+    describe("snapshots", () => {
+        it("waits for the next emit before calling listeners added during an emit", () => {
+            soulDew.on("tick", () => soulDew.on("tick", record("added")));
+            soulDew.emit("tick");
+            expect(calls).to.deep.equal([]);
+
+            soulDew.emit("tick");
+            expect(calls).to.deep.equal(["added tick"]);
+        });
+
+        it("skips listeners removed during an emit", () => {
+            const second = record("second");
+            soulDew.on("tick", () => soulDew.off("tick", second));
+            soulDew.on("tick", second);
+            soulDew.emit("tick");
+
+            expect(calls).to.deep.equal([]);
+        });
+
+        it("calls a once listener a single time when emits nest", () => {
+            soulDew.on("tick", () => soulDew.emit("tick"), true);
+            soulDew.on("tick", record("once"), true);
+            soulDew.emit("tick");
+
+            expect(calls).to.deep.equal(["once tick"]);
+        });
+    });
+
+    describe("emitAsync", () => {
+        const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+        it("awaits listeners one after another and returns settled results", async () => {
+            soulDew.on("load", async () => {
+                await delay(5);
+                calls.push("slow");
+                return 1;
+            });
+            soulDew.on("load", () => {
+                calls.push("fast");
+                throw new Error("fail");
+            });
+
+            const results = await soulDew.emitAsync("load", { id: 1 });
+            expect(calls).to.deep.equal(["slow", "fast"]);
+            expect(results[0]).to.deep.equal({ status: "fulfilled", value: 1 });
+            expect(results[1].status).to.equal("rejected");
+            expect(results[1].reason.message).to.equal("fail");
+        });
+
+        it("starts every listener at once in parallel mode", async () => {
+            soulDew.on("load", async () => {
+                await delay(5);
+                calls.push("slow");
+            });
+            soulDew.on("load", async event => {
+                calls.push(`fast ${event.detail}`);
+            });
+
+            const results = await soulDew.emitAsync("load", 7, { parallel: true });
+            expect(calls).to.deep.equal(["fast 7", "slow"]);
+            expect(results.map(result => result.status)).to.deep.equal(["fulfilled", "fulfilled"]);
+        });
+
+        it("resolves to an empty list when nothing listens", async () => {
+            expect(await soulDew.emitAsync("nothing")).to.deep.equal([]);
+        });
+    });
+
+    describe("plain events and bridges", () => {
+        it("passes listeners a plain event object without needing a DOM", () => {
+            let received;
+            soulDew.on("save", event => {
+                received = event;
+            });
+            soulDew.emit("save", { id: 1 });
+
+            expect(globalThis.document).to.equal(undefined);
+            expect(received).to.have.all.keys("type", "detail", "timestamp");
+            expect(received).to.include({ type: "save" });
+            expect(received.detail).to.deep.equal({ id: 1 });
+            expect(received.timestamp).to.be.a("number");
+        });
+
+        it("re-dispatches events on an EventTarget", async () => {
+            const target = new EventTarget();
+            target.addEventListener("save", event => calls.push(`${event.constructor.name} ${event.detail}`));
+            soulDew = new SoulDew({ bridges: [new EventTargetBridge(target)] });
+
+            soulDew.emit("save", 1);
+            await soulDew.emitAsync("save", 2);
+            expect(calls).to.deep.equal(["CustomEvent 1", "CustomEvent 2"]);
+        });
+
+        it("re-emits events on a Node EventEmitter", () => {
+            const emitter = new EventEmitter();
+            const bridge = new EventEmitterBridge(emitter);
+            emitter.on("save", event => calls.push(`${event.type} ${event.detail}`));
+
+            soulDew.addBridge(bridge);
+            soulDew.emit("save", 1);
+            soulDew.emit("error", new Error("not forwarded"));
+            soulDew.removeBridge(bridge);
+            soulDew.emit("save", 2);
+
+            expect(calls).to.deep.equal(["save 1"]);
+        });
+
+        it("reports a failing bridge without affecting listeners", () => {
+            const failures = [];
+            const bridge = { dispatch: () => { throw new Error("offline"); } };
+            soulDew = new SoulDew({ bridges: [bridge], onError: failure => failures.push(failure) });
+            soulDew.on("save", record("listener"));
+
+            soulDew.emit("save");
+            expect(calls).to.deep.equal(["listener save"]);
+            expect(failures[0]).to.include({ event: "save", listener: bridge });
+        });
+
+        it("rejects bridges without a dispatch method", () => {
+            expect(() => soulDew.addBridge({})).to.throw(TypeError, /dispatch/);
+            expect(() => new EventTargetBridge({})).to.throw(TypeError, /EventTarget/);
+            expect(() => new EventEmitterBridge(null)).to.throw(TypeError, /EventEmitter/);
+        });
+    });
+});
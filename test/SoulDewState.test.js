@@ -0,0 +1,373 @@
+import { expect } from "chai";
+import AltoMare, { ValidationError } from "../AltoMare/AltoMare.js";
+import SoulDew from "../SoulDew/SoulDew.js";
+
+describe("SoulDew states", () => {
+    let altoMare;
+    let soulDew;
+    let events;
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+        altoMare.register("player", {
+            requiredProperties: ["name", "health"],
+            name: { type: "string", minLength: 1 },
+            health: { type: "integer", min: 0, max: 100 },
+            level: { type: "integer", min: 1 },
+        });
+        soulDew = new SoulDew({ altoMare });
+        events = [];
+        soulDew.onAny(event => events.push(event));
+    });
+
+    describe("schema guards", () => {
+        it("applies updates that keep the state valid", () => {
+            const player = { name: "Ann", health: 100 };
+            soulDew.observeState("player", player, { schema: "player" });
+            soulDew.setState("player", { health: 40, level: 2 });
+
+            expect(player).to.deep.equal({ name: "Ann", health: 40, level: 2 });
+            expect(events.map(event => event.type)).to.deep.equal(["stateChange:player", "stateChange:player"]);
+        });
+
+        it("rejects an invalid update as a whole", () => {
+            const player = { name: "Ann", health: 100 };
+            soulDew.observeState("player", player, { schema: "player" });
+
+            let thrown;
+            try {
+                soulDew.setState("player", { level: 3, health: -5 });
+            } catch (error) {
+                thrown = error;
+            }
+
+            expect(thrown).to.be.instanceOf(ValidationError);
+            expect(thrown.errors.map(error => error.path)).to.deep.equal(["/health"]);
+            expect(player).to.deep.equal({ name: "Ann", health: 100 });
+            expect(events).to.have.length(1);
+            expect(events[0].type).to.equal("stateRejected:player");
+            expect(events[0].detail.changes).to.deep.equal({ level: 3, health: -5 });
+            expect(events[0].detail.errors[0].code).to.equal("min");
+        });
+
+        it("emits stateRejected even when stateChange events are turned off", () => {
+            soulDew.observeState("player", { name: "Ann", health: 100 }, { schema: "player" });
+            expect(() => soulDew.setState("player", { name: "" }, false)).to.throw(ValidationError);
+            expect(events.map(event => event.type)).to.deep.equal(["stateRejected:player"]);
+        });
+
+        it("refuses to observe a state that is already invalid", () => {
+            expect(() => soulDew.observeState("player", { name: "Ann" }, { schema: "player" })).to.throw(ValidationError);
+            expect(soulDew.getState("player")).to.equal(undefined);
+            expect(() => soulDew.observeState("other", {}, { schema: "missing" })).to.throw(/Schema 'missing' not found/);
+        });
+
+        it("reports rejections from strict AltoMare instances the same way", () => {
+            const strict = new AltoMare("strict");
+            strict.register("player", altoMare.get("player"));
+            soulDew = new SoulDew({ altoMare: strict });
+            soulDew.observeState("player", { name: "Ann", health: 1 }, { schema: "player" });
+
+            expect(() => soulDew.setState("player", { health: 101 })).to.throw(ValidationError);
+            expect(soulDew.getState("player").health).to.equal(1);
+        });
+
+        it("leaves states without a schema unguarded", () => {
+            soulDew.observeState("free", { anything: 1 });
+            soulDew.setState("free", { anything: "goes" });
+            expect(soulDew.getState("free").anything).to.equal("goes");
+        });
+
+        it("rejects an altoMare option that is not an AltoMare instance", () => {
+            expect(() => new SoulDew({ altoMare: {} })).to.throw(TypeError, /altoMare/);
+        });
+    });
+
+    describe("history", () => {
+        let doc;
+
+        beforeEach(() => {
+            doc = { title: "Draft", body: "" };
+            soulDew.observeState("doc", doc, { history: { limit: 3 } });
+            events = [];
+        });
+
+        it("undoes and redoes changes and emits stateChange for them", () => {
+            soulDew.setState("doc", { title: "First" });
+            soulDew.setState("doc", { body: "Text", tags: ["a"] });
+
+            expect(soulDew.undo("doc")).to.equal(true);
+            expect(doc).to.deep.equal({ title: "First", body: "" });
+            expect(soulDew.undo("doc")).to.equal(true);
+            expect(doc).to.deep.equal({ title: "Draft", body: "" });
+            expect(soulDew.undo("doc")).to.equal(false);
+
+            expect(soulDew.redo("doc")).to.equal(true);
+            expect(doc).to.deep.equal({ title: "First", body: "" });
+            expect(events.map(event => event.detail.value)).to.deep.equal([
+                "First", "Text", ["a"], undefined, "", "Draft", "First",
+            ]);
+        });
+
+        it("clears the redo steps when a new change is made", () => {
+            soulDew.setState("doc", { title: "First" });
+            soulDew.undo("doc");
+            expect(soulDew.canRedo("doc")).to.equal(true);
+
+            soulDew.setState("doc", { title: "Other" });
+            expect(soulDew.canRedo("doc")).to.equal(false);
+            expect(soulDew.redo("doc")).to.equal(false);
+        });
+
+        it("keeps only the configured number of steps", () => {
+            for (const title of ["a", "b", "c", "d"]) {
+                soulDew.setState("doc", { title });
+            }
+            while (soulDew.undo("doc"));
+            expect(doc.title).to.equal("a");
+        });
+
+        it("undoes a group of changes as one step", () => {
+            const result = soulDew.group("doc", () => {
+                soulDew.setState("doc", { title: "One" });
+                soulDew.group("doc", () => soulDew.setState("doc", { title: "Two", extra: true }));
+                soulDew.setState("doc", { body: "Body" });
+                return "done";
+            });
+
+            expect(result).to.equal("done");
+            expect(soulDew.undo("doc")).to.equal(true);
+            expect(doc).to.deep.equal({ title: "Draft", body: "" });
+            expect(soulDew.canUndo("doc")).to.equal(false);
+
+            soulDew.redo("doc");
+            expect(doc).to.deep.equal({ title: "Two", body: "Body", extra: true });
+        });
+
+        it("reverts a group whose callback throws", () => {
+            soulDew.setState("doc", { title: "Kept" });
+            const fail = () => {
+                throw new Error("stop");
+            };
+
+            expect(() => soulDew.group("doc", () => {
+                soulDew.setState("doc", { title: "One" });
+                try {
+                    soulDew.group("doc", () => {
+                        soulDew.setState("doc", { extra: true });
+                        fail();
+                    });
+                } catch {
+                    expect(doc).to.deep.equal({ title: "One", body: "" });
+                }
+                soulDew.setState("doc", { body: "Body" });
+                fail();
+            })).to.throw("stop");
+
+            expect(doc).to.deep.equal({ title: "Kept", body: "" });
+            expect(soulDew.undo("doc")).to.equal(true);
+            expect(doc).to.deep.equal({ title: "Draft", body: "" });
+            expect(soulDew.canUndo("doc")).to.equal(false);
+        });
+
+        it("keeps the group open until an async callback settles", async () => {
+            const tick = () => new Promise(resolve => setTimeout(resolve));
+            const result = soulDew.group("doc", async () => {
+                soulDew.setState("doc", { title: "One" });
+                await tick();
+                soulDew.setState("doc", { body: "Body" });
+                return "done";
+            });
+
+            expect(result).to.be.an.instanceOf(Promise);
+            expect(await result).to.equal("done");
+            expect(soulDew.undo("doc")).to.equal(true);
+            expect(doc).to.deep.equal({ title: "Draft", body: "" });
+            expect(soulDew.canUndo("doc")).to.equal(false);
+
+            let rejected;
+            await soulDew.group("doc", async () => {
+                soulDew.setState("doc", { title: "Two" });
+                await tick();
+                soulDew.setState("doc", { body: "Lost" });
+                throw new Error("stop");
+            }).catch(error => { rejected = error; });
+
+            expect(rejected.message).to.equal("stop");
+            expect(doc).to.deep.equal({ title: "Draft", body: "" });
+            expect(soulDew.canUndo("doc")).to.equal(false);
+        });
+
+        it("validates undo against the state's schema", () => {
+            const player = { name: "Ann", health: 50 };
+            soulDew.observeState("player", player, { schema: "player", history: true });
+            soulDew.setState("player", { health: 20 });
+
+            altoMare.register("player", { ...altoMare.get("player"), health: { type: "integer", max: 30 } });
+            expect(() => soulDew.undo("player")).to.throw(ValidationError);
+            expect(player.health).to.equal(20);
+            expect(soulDew.canUndo("player")).to.equal(true);
+        });
+
+        it("requires the state to opt in", () => {
+            soulDew.observeState("plain", {});
+            expect(() => soulDew.undo("plain")).to.throw(/does not keep a history/);
+            expect(soulDew.canUndo("plain")).to.equal(false);
+            expect(() => soulDew.observeState("bad", {}, { history: { limit: 0 } })).to.throw(TypeError, /limit/);
+        });
+
+        it("restores snapshots across states as an undoable step", () => {
+            soulDew.observeState("settings", { theme: "light" });
+            const snapshot = soulDew.snapshot();
+
+            soulDew.setState("doc", { title: "Changed", draft: true });
+            soulDew.setState("settings", { theme: "dark" });
+            events = [];
+
+            soulDew.restore(snapshot);
+            expect(doc).to.deep.equal({ title: "Draft", body: "" });
+            expect(soulDew.getState("settings")).to.deep.equal({ theme: "light" });
+            expect(events.map(event => event.type)).to.deep.equal([
+                "stateChange:doc", "stateChange:doc", "stateChange:settings",
+            ]);
+
+            soulDew.undo("doc");
+            expect(doc).to.deep.equal({ title: "Changed", body: "", draft: true });
+            snapshot.doc.title = "mutated";
+            expect(soulDew.snapshot().doc.title).to.equal("Changed");
+        });
+
+        it("checks every schema before restoring anything", () => {
+            soulDew.observeState("player", { name: "Ann", health: 50 }, { schema: "player" });
+            expect(() => soulDew.restore({ doc: { title: "New" }, player: { name: "Ann", health: 500 } }))
+                .to.throw(ValidationError);
+            expect(doc.title).to.equal("Draft");
+        });
+    });
+
+    describe("change details, selectors and derived states", () => {
+        let cart;
+
+        beforeEach(() => {
+            cart = { items: [], coupon: null };
+            soulDew.observeState("cart", cart);
+            soulDew.observeState("user", { name: "Ann", vip: false });
+            events = [];
+        });
+
+        it("describes each changed key in the stateChange payload", () => {
+            soulDew.setState("user", { name: "Bea" });
+            expect(events[0].detail).to.deep.equal({ key: "name", oldValue: "Ann", newValue: "Bea", value: "Bea" });
+        });
+
+        it("calls a selector listener only when its slice changes", () => {
+            const counts = [];
+            const stop = soulDew.select("cart", state => state.items.length, (count, previous) => counts.push([count, previous]));
+
+            soulDew.setState("cart", { items: ["apple"], coupon: "A" });
+            soulDew.setState("cart", { coupon: "B" });
+            soulDew.setState("cart", { items: ["apple", "pear"] });
+            stop();
+            soulDew.setState("cart", { items: [] });
+
+            expect(counts).to.deep.equal([[1, 0], [2, 1]]);
+        });
+
+        it("accepts a custom equality check for selectors", () => {
+            const seen = [];
+            soulDew.select("cart", state => [...state.items], items => seen.push(items), {
+                equals: (a, b) => a.join() === b.join(),
+            });
+
+            soulDew.setState("cart", { items: [] });
+            soulDew.setState("cart", { items: ["kiwi"] });
+            expect(seen).to.deep.equal([["kiwi"]]);
+        });
+
+        it("keeps derived states up to date and memoized", () => {
+            let runs = 0;
+            soulDew.derive("summary", ["cart", "user"], (currentCart, user) => {
+                runs += 1;
+                return { count: currentCart.items.length, discount: user.vip || currentCart.coupon !== null };
+            });
+            expect(soulDew.getState("summary")).to.deep.equal({ count: 0, discount: false });
+            expect(runs).to.equal(1);
+
+            events = [];
+            soulDew.setState("cart", { items: ["apple"] });
+            soulDew.setState("user", { name: "Bea" });
+            soulDew.setState("user", { vip: true });
+
+            expect(runs).to.equal(4);
+            expect(soulDew.getState("summary")).to.deep.equal({ count: 1, discount: true });
+            expect(events.filter(event => event.type === "stateChange:summary").map(event => event.detail)).to.deep.equal([
+                { key: "count", oldValue: 0, newValue: 1, value: 1 },
+                { key: "discount", oldValue: false, newValue: true, value: true },
+            ]);
+        });
+
+        it("derives from other derived states", () => {
+            soulDew.derive("count", ["cart"], currentCart => ({ value: currentCart.items.length }));
+            soulDew.derive("label", ["count"], count => ({ text: `${count.value} items` }));
+
+            soulDew.setState("cart", { items: ["a", "b"] });
+            expect(soulDew.getState("label").text).to.equal("2 items");
+        });
+
+        it("keeps derived states read-only and stops them when removed", () => {
+            soulDew.derive("count", ["cart"], currentCart => ({ value: currentCart.items.length }));
+            expect(() => soulDew.setState("count", { value: 5 })).to.throw(/derived/);
+            expect(() => soulDew.derive("cart", [], () => ({}))).to.throw(/already exists/);
+            expect(() => soulDew.derive("other", ["missing"], () => ({}))).to.throw(/not found/);
+
+            const selected = [];
+            soulDew.select("count", count => count.value, value => selected.push(value));
+            soulDew.removeState("count");
+            soulDew.setState("cart", { items: ["a"] });
+            expect(soulDew.getState("count")).to.equal(undefined);
+
+            soulDew.observeState("count", { value: 0 });
+            soulDew.setState("count", { value: 9 });
+            expect(selected).to.deep.equal([]);
+        });
+
+        it("follows the emitEvent flag of the source update", () => {
+            soulDew.derive("count", ["cart"], currentCart => ({ value: currentCart.items.length }));
+            const events = [];
+            soulDew.on("stateChange:count", event => events.push(event.detail.value));
+
+            soulDew.setState("cart", { items: ["a", "b"] }, false);
+            expect(soulDew.getState("count").value).to.equal(2);
+            expect(events).to.deep.equal([]);
+
+            soulDew.setState("cart", { items: ["a"] });
+            expect(events).to.deep.equal([1]);
+        });
+
+        it("refuses to remove a state that other states derive from", () => {
+            soulDew.derive("count", ["cart"], currentCart => ({ value: currentCart.items.length }));
+            soulDew.derive("label", ["count"], count => ({ text: `${count.value} items` }));
+
+            expect(() => soulDew.removeState("cart")).to.throw(/depend on it: count$/);
+            expect(() => soulDew.removeState("count")).to.throw(/label/);
+            expect(soulDew.getState("cart")).to.not.equal(undefined);
+
+            soulDew.removeState("label");
+            soulDew.removeState("count");
+            soulDew.removeState("cart");
+            expect(soulDew.getState("cart")).to.equal(undefined);
+        });
+
+        it("reports a failing computation and keeps the previous values", () => {
+            const failures = [];
+            soulDew = new SoulDew({ onError: failure => failures.push(failure.event) });
+            soulDew.observeState("cart", { items: ["a"] });
+            soulDew.derive("first", ["cart"], currentCart => ({ item: currentCart.items[0].toUpperCase() }));
+
+            expect(soulDew.getState("first")).to.deep.equal({ item: "A" });
+            soulDew.setState("cart", { items: [] });
+            expect(soulDew.getState("first")).to.deep.equal({ item: "A" });
+            expect(failures).to.deep.equal(["stateChange:first"]);
+        });
+    });
+});
@@ -0,0 +1,194 @@
+import { expect } from "chai";
+import { MessageChannel } from "node:worker_threads";
+import AltoMare from "../AltoMare/AltoMare.js";
+import SoulDew from "../SoulDew/SoulDew.js";
+import BroadcastChannelTransport from "../SoulDew/BroadcastChannelTransport.js";
+import LoopbackTransport from "../SoulDew/LoopbackTransport.js";
+import MessagePortTransport from "../SoulDew/MessagePortTransport.js";
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe("SoulDew sync", () => {
+    let channel = 0;
+    let transports;
+
+    beforeEach(() => {
+        channel += 1;
+        transports = [];
+    });
+
+    afterEach(() => {
+        transports.forEach(transport => transport.close());
+    });
+
+    function connect(options, soulDew = new SoulDew()) {
+        const transport = new LoopbackTransport(`test-${channel}`);
+        transports.push(transport);
+        soulDew.sync(transport, options);
+        return soulDew;
+    }
+
+    it("forwards selected events to the other instances", async () => {
+        const a = connect({ events: ["chat:*"] });
+        const b = connect({ events: ["chat:*"] });
+        const received = [];
+        b.on("chat:message", event => received.push(event.detail));
+        b.on("local", event => received.push(event.detail));
+
+        a.emit("chat:message", { text: "hi" });
+        a.emit("local", "not shared");
+        await flush();
+
+        expect(received).to.deep.equal([{ text: "hi" }]);
+    });
+
+    it("does not send received events back", async () => {
+        const a = connect({ events: ["**"] });
+        const b = connect({ events: ["**"] });
+        const seen = { a: 0, b: 0 };
+        a.on("ping", () => { seen.a += 1; });
+        b.on("ping", () => { seen.b += 1; });
+
+        a.emit("ping");
+        await flush();
+        expect(seen).to.deep.equal({ a: 1, b: 1 });
+    });
+
+    it("applies setState changes to synced states and emits stateChange", async () => {
+        const a = connect({ states: ["settings"] });
+        const b = connect({ states: true });
+        a.observeState("settings", { theme: "light" });
+        a.observeState("draft", { text: "" });
+        b.observeState("settings", { theme: "light" });
+        b.observeState("draft", { text: "" });
+
+        const changes = [];
+        b.on("stateChange:settings", event => changes.push(event.detail.value));
+
+        a.setState("settings", { theme: "dark" });
+        a.setState("draft", { text: "private" });
+        await flush();
+
+        expect(b.getState("settings")).to.deep.equal({ theme: "dark" });
+        expect(b.getState("draft")).to.deep.equal({ text: "" });
+        expect(changes).to.deep.equal(["dark"]);
+    });
+
+    it("settles concurrent writes on the same value everywhere", async () => {
+        const instances = [
+            connect({ states: true, id: "a" }),
+            connect({ states: true, id: "b" }),
+            connect({ states: true, id: "c" }),
+        ];
+        instances.forEach(instance => instance.observeState("doc", { title: "", body: "" }));
+
+        instances[0].setState("doc", { title: "from a" });
+        instances[2].setState("doc", { title: "from c", body: "c" });
+        await flush();
+
+        for (const instance of instances) {
+            expect(instance.getState("doc")).to.deep.equal({ title: "from c", body: "c" });
+        }
+
+        instances[0].setState("doc", { title: "later" });
+        await flush();
+        for (const instance of instances) {
+            expect(instance.getState("doc").title).to.equal("later");
+        }
+    });
+
+    it("deletes keys removed on another instance", async () => {
+        const a = connect({ states: true });
+        const b = connect({ states: true });
+        a.observeState("doc", { title: "draft" });
+        b.observeState("doc", { title: "draft" });
+
+        const snapshot = a.snapshot();
+        a.setState("doc", { note: "temporary" });
+        await flush();
+        expect(b.getState("doc")).to.deep.equal({ title: "draft", note: "temporary" });
+
+        const changes = [];
+        b.on("stateChange:doc", event => changes.push(event.detail));
+        a.restore(snapshot);
+        await flush();
+
+        expect(b.getState("doc")).to.deep.equal({ title: "draft" });
+        expect(Object.hasOwn(b.getState("doc"), "note")).to.equal(false);
+        expect(changes).to.deep.equal([{ key: "note", oldValue: "temporary", newValue: undefined, value: undefined }]);
+    });
+
+    it("reports remote changes rejected by the local schema and leaves the state unchanged", async () => {
+        const failures = [];
+        const altoMare = new AltoMare("silent");
+        altoMare.register("volume", { level: { type: "number", max: 10 } });
+        const a = connect({ states: true });
+        const b = connect({ states: true }, new SoulDew({ altoMare, onError: failure => failures.push(failure) }));
+        a.observeState("volume", { level: 5 });
+        b.observeState("volume", { level: 5 }, { schema: "volume" });
+
+        a.setState("volume", { level: 11 });
+        await flush();
+
+        expect(b.getState("volume")).to.deep.equal({ level: 5 });
+        expect(failures.map(failure => failure.event)).to.deep.equal(["stateRejected:volume"]);
+    });
+
+    it("reports details that cannot be cloned instead of throwing", () => {
+        const failures = [];
+        const a = connect({ events: ["task"] }, new SoulDew({ onError: failure => failures.push(failure) }));
+        connect({ events: ["task"] });
+
+        a.emit("task", { run: () => {} });
+        expect(failures).to.have.length(1);
+        expect(failures[0].event).to.equal("task");
+        expect(failures[0].error.message).to.match(/Cannot sync 'task'/);
+    });
+
+    it("stops syncing after close", async () => {
+        const transport = new LoopbackTransport(`test-${channel}`);
+        transports.push(transport);
+        const a = new SoulDew();
+        const connection = a.sync(transport, { events: ["ping"] });
+        const b = connect({ events: ["ping"] });
+        let received = 0;
+        b.on("ping", () => { received += 1; });
+
+        connection.close();
+        a.emit("ping");
+        await flush();
+        expect(received).to.equal(0);
+    });
+
+    it("syncs over worker_threads message ports", async () => {
+        const { port1, port2 } = new MessageChannel();
+        transports.push(new MessagePortTransport(port1), new MessagePortTransport(port2));
+        const a = new SoulDew();
+        const b = new SoulDew();
+        a.sync(transports[0], { states: ["counter"] });
+        b.sync(transports[1], { states: ["counter"] });
+        a.observeState("counter", { value: 0 });
+        b.observeState("counter", { value: 0 });
+
+        a.setState("counter", { value: 5 });
+        await flush();
+        expect(b.getState("counter")).to.deep.equal({ value: 5 });
+    });
+
+    it("syncs over a BroadcastChannel", async () => {
+        transports.push(new BroadcastChannelTransport(`souldew-${channel}`), new BroadcastChannelTransport(`souldew-${channel}`));
+        const a = new SoulDew();
+        const b = new SoulDew();
+        a.sync(transports[0], { events: ["hello"] });
+        b.sync(transports[1], { events: ["hello"] });
+        const received = new Promise(resolve => b.on("hello", event => resolve(event.detail)));
+
+        a.emit("hello", "world");
+        expect(await received).to.equal("world");
+    });
+
+    it("rejects objects that are not transports", () => {
+        expect(() => new SoulDew().sync({ send() {} })).to.throw(TypeError, /send and subscribe/);
+        expect(() => new MessagePortTransport({})).to.throw(TypeError, /postMessage/);
+    });
+});
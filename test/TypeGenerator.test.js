@@ -0,0 +1,146 @@
+import { expect } from "chai";
+import { execFile } from "node:child_process";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { promisify } from "node:util";
+import AltoMare from "../AltoMare/AltoMare.js";
+
+const run = promisify(execFile);
+const cli = new URL("../bin/sora-types.js", import.meta.url).pathname;
+
+const schemas = {
+    address: {
+        requiredProperties: ["street"],
+        street: { type: "string" },
+        "zip-code": { type: "string" },
+    },
+    user: {
+        requiredProperties: ["name", "role"],
+        name: { type: "string" },
+        role: { enum: { value: ["admin", "member"], message: "Unknown role" } },
+        tags: { type: "array", items: { type: "string" } },
+        home: { ref: "address", nullable: true },
+        id: { oneOf: [{ type: "number" }, { type: "string" }] },
+        profile: {
+            type: "object",
+            properties: {
+                requiredProperties: ["bio"],
+                bio: { type: "string" },
+                born: { type: "date" },
+            },
+        },
+    },
+};
+
+describe("TypeGenerator", () => {
+    let altoMare;
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+        Object.entries(schemas).forEach(([name, schema]) => altoMare.register(name, schema));
+        altoMare.loadTemplates(JSON.stringify({ base: { id: { type: "number" } } }));
+    });
+
+    it("generates TypeScript interfaces and a narrowing validate signature", () => {
+        expect(altoMare.generateTypes()).to.equal(`export interface Address {
+    street: string;
+    "zip-code"?: string;
+}
+
+export interface User {
+    name: string;
+    role: "admin" | "member";
+    tags?: Array<string>;
+    home?: Address | null;
+    id?: number | string;
+    profile?: {
+        bio: string;
+        born?: Date;
+    };
+}
+
+export interface BaseTemplate {
+    id?: number;
+}
+
+export interface SchemaTypes {
+    "address": Address;
+    "user": User;
+}
+
+export interface TypedAltoMare {
+    validate<K extends keyof SchemaTypes>(schemaName: K, data: unknown): data is SchemaTypes[K];
+}
+`);
+    });
+
+    it("generates JSDoc typedefs", () => {
+        const output = altoMare.generateTypes({ format: "jsdoc", templates: false });
+        expect(output).to.contain([
+            "/**",
+            " * @typedef {Object} User",
+            " * @property {string} name",
+            " * @property {\"admin\" | \"member\"} role",
+            " * @property {Array<string>} [tags]",
+            " * @property {Address | null} [home]",
+            " * @property {number | string} [id]",
+            " * @property {{ bio: string; born?: Date; }} [profile]",
+            " */",
+        ].join("\n"));
+        expect(output).to.contain("@typedef {{ address: Address, user: User }} SchemaTypes");
+        expect(output).to.contain("@returns {data is SchemaTypes[K]}");
+        expect(output).to.not.contain("BaseTemplate");
+    });
+
+    it("rejects unknown formats", () => {
+        expect(() => altoMare.generateTypes({ format: "flow" })).to.throw(/flow/);
+    });
+
+    describe("sora-types CLI", () => {
+        let directory;
+
+        before(async () => {
+            directory = await mkdtemp(join(tmpdir(), "sora-types-"));
+        });
+
+        after(async () => {
+            await rm(directory, { recursive: true, force: true });
+        });
+
+        it("prints declarations for a JSON schema file", async () => {
+            const source = join(directory, "schemas.json");
+            await writeFile(source, JSON.stringify({ schemas }));
+
+            const { stdout } = await run(process.execPath, [cli, source]);
+            const expected = new AltoMare("silent");
+            Object.entries(schemas).forEach(([name, schema]) => expected.register(name, schema));
+            expect(stdout).to.equal(expected.generateTypes());
+        });
+
+        it("loads an AltoMare instance from a module", async () => {
+            const source = join(directory, "schemas.mjs");
+            const altoMarePath = new URL("../AltoMare/AltoMare.js", import.meta.url).href;
+            await writeFile(source, [
+                `import AltoMare from ${JSON.stringify(altoMarePath)};`,
+                "const altoMare = new AltoMare(\"silent\");",
+                "altoMare.register(\"point\", { x: { type: \"number\" } });",
+                "export default altoMare;",
+            ].join("\n"));
+
+            const { stdout } = await run(process.execPath, [cli, source, "--format", "jsdoc"]);
+            expect(stdout).to.contain("@typedef {Object} Point");
+        });
+
+        it("exits with a usage error without a source", async () => {
+            let failure;
+            try {
+                await run(process.execPath, [cli]);
+            } catch (error) {
+                failure = error;
+            }
+            expect(failure.code).to.equal(2);
+            expect(failure.stdout).to.contain("Usage: sora-types");
+        });
+    });
+});
@@ -0,0 +1,143 @@
+import { expect } from "chai";
+import AltoMare from "../AltoMare/AltoMare.js";
+
+describe("Rich built-in types", () => {
+    let altoMare;
+
+    beforeEach(() => {
+        altoMare = new AltoMare("silent");
+        altoMare.register("inventory", {
+            count: { type: "integer", min: 0 },
+            ratio: { type: "finite" },
+            serial: { type: "bigint" },
+            point: { type: "tuple", items: [{ type: "number" }, { type: "number" }, { type: "string", nullable: true }] },
+            tags: { type: "set", items: { type: "string", minLength: 2 } },
+            stock: { type: "map", keys: { type: "string" }, values: { type: "integer" } },
+            prices: { type: "record", keyPattern: "^[A-Z]{3}$", values: { type: "number", min: 0 } },
+            pixels: { type: "uint8array", maxLength: 4 },
+            created: { type: "date" },
+        });
+    });
+
+    const codes = data => altoMare.validateDetailed("inventory", data).errors.map(({ code, path }) => `${code} ${path}`);
+
+    it("distinguishes numeric types", () => {
+        expect(codes({ count: 3, ratio: 0.5, serial: 10n })).to.deep.equal([]);
+        expect(codes({ count: 1.5, ratio: Infinity, serial: 10 })).to.deep.equal([
+            "type /count", "type /ratio", "type /serial",
+        ]);
+        expect(altoMare.validateDetailed("inventory", { count: NaN }).errors[0].message).to.equal(
+            "Type validation failed. Expected integer, got NaN");
+    });
+
+    it("checks tuples position by position", () => {
+        expect(codes({ point: [1, 2, null] })).to.deep.equal([]);
+        expect(codes({ point: [1, "2"] })).to.deep.equal(["tuple /point", "type /point/1"]);
+        expect(altoMare.validateDetailed("inventory", { point: [1, 2, "a", 4] }).errors[0].message).to.equal(
+            "Value must have exactly 3 items");
+    });
+
+    it("validates a single tuple position with validateAt", () => {
+        expect(altoMare.validateAt("inventory", "point[1]", 5).valid).to.equal(true);
+        expect(altoMare.validateAt("inventory", "point[2]", 5).errors[0]).to.include({ code: "type", path: "/point/2" });
+        expect(altoMare.validateAt("inventory", "point[2]", null).valid).to.equal(true);
+        expect(() => altoMare.validateAt("inventory", "point[3]", 5)).to.throw(/past the end of a 3-item tuple/);
+    });
+
+    it("traverses Set and Map contents", () => {
+        expect(codes({ tags: new Set(["ok", "x"]) })).to.deep.equal(["minLength /tags/1"]);
+        expect(codes({ stock: new Map([["apples", 3], [7, 1.5]]) })).to.deep.equal([
+            "type /stock/7", "type /stock/7",
+        ]);
+        expect(codes({ tags: ["ok"], stock: { apples: 3 } })).to.deep.equal(["type /tags", "type /stock"]);
+    });
+
+    it("validates record keys and values", () => {
+        expect(codes({ prices: { EUR: 3, USD: 4 } })).to.deep.equal([]);
+        const { errors } = altoMare.validateDetailed("inventory", { prices: { eur: 3, NOK: -1 } });
+        expect(errors.map(error => error.message)).to.deep.equal([
+            "Key 'eur' must match the pattern ^[A-Z]{3}$",
+            "Value must be at least 0",
+        ]);
+        expect(errors.map(error => error.path)).to.deep.equal(["/prices/eur", "/prices/NOK"]);
+    });
+
+    it("checks typed arrays and their length", () => {
+        expect(codes({ pixels: new Uint8Array(4) })).to.deep.equal([]);
+        expect(codes({ pixels: new Uint8Array(5) })).to.deep.equal(["maxLength /pixels"]);
+        expect(codes({ pixels: new Int8Array(2) })).to.deep.equal(["type /pixels"]);
+        expect(altoMare.validate("inventory", { created: new Date("invalid") })).to.equal(false);
+    });
+
+    it("compiles to the same results as the interpreter", () => {
+        const validate = altoMare.compile("inventory");
+        const fixtures = [
+            { count: 3, point: [1, 2, null], tags: new Set(["ok"]), pixels: new Uint8Array(2) },
+            { count: -1.5, point: [1], tags: new Set(["x"]), stock: new Map([[1, "a"]]) },
+            { prices: { eur: 3, NOK: -1 }, pixels: [1, 2] },
+        ];
+        for (const fixture of fixtures) {
+            expect(validate(fixture)).to.deep.equal(altoMare.validateDetailed("inventory", fixture));
+        }
+    });
+
+    it("coerces into the richer types", () => {
+        const { valid, data } = altoMare.parse("inventory", {
+            count: "4", serial: "12", tags: ["ab", "cd"], stock: { apples: "2" },
+        }, { coerce: true });
+
+        expect(valid).to.equal(true);
+        expect(data.count).to.equal(4);
+        expect(data.serial).to.equal(12n);
+        expect(data.tags).to.deep.equal(new Set(["ab", "cd"]));
+        expect(data.stock).to.deep.equal(new Map([["apples", 2]]));
+    });
+
+    it("generates TypeScript for the richer types", () => {
+        const output = altoMare.generateTypes();
+        expect(output).to.include("count?: number;");
+        expect(output).to.include("serial?: bigint;");
+        expect(output).to.include("point?: [number, number, string | null];");
+        expect(output).to.include("tags?: Set<string>;");
+        expect(output).to.include("stock?: Map<string, number>;");
+        expect(output).to.include("prices?: Record<string, number>;");
+        expect(output).to.include("pixels?: Uint8Array;");
+    });
+
+    it("round-trips tuples, records and integers through JSON Schema", () => {
+        const { schema, unsupported } = altoMare.toJSONSchema("inventory");
+        expect(schema.properties.count).to.deep.equal({ type: "integer", minimum: 0 });
+        expect(schema.properties.point).to.deep.equal({
+            type: "array",
+            prefixItems: [{ type: "number" }, { type: "number" }, { type: ["string", "null"] }],
+            items: false,
+            minItems: 3,
+        });
+        expect(schema.properties.prices).to.deep.equal({
+            type: "object",
+            propertyNames: { pattern: "^[A-Z]{3}$" },
+            additionalProperties: { type: "number", minimum: 0 },
+        });
+        expect(unsupported.map(entry => entry.path)).to.deep.equal([
+            "/properties/serial/type",
+            "/properties/tags/type",
+            "/properties/stock/type",
+            "/properties/pixels/type",
+        ]);
+
+        const imported = new AltoMare("silent");
+        imported.fromJSONSchema({ ...schema, properties: { point: schema.properties.point, prices: schema.properties.prices } });
+        expect(imported.get("inventory")).to.deep.equal({
+            point: { type: "array", items: [{ type: "number" }, { type: "number" }, { type: "string", nullable: true }] },
+            prices: { type: "record", keyPattern: "^[A-Z]{3}$", values: { type: "number", min: 0 } },
+        });
+    });
+
+    it("generates valid samples and near misses", () => {
+        const sample = altoMare.generate("inventory", { seed: 3 });
+        expect(altoMare.validate("inventory", sample)).to.equal(true);
+
+        const rules = altoMare.generateInvalid("inventory", { seed: 3 }).map(({ rule, path }) => `${rule} ${path}`);
+        expect(rules).to.include.members(["tuple /point", "keyPattern /prices/_"]);
+    });
+});